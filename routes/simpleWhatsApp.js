@@ -1,8 +1,58 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 
-const ContentSharingService = require('../services/contentSharingService');
-// Remove this line: const contentSharingService = new ContentSharingService();
+const { MEDIA_MODES, LANGUAGES, CONTENT_TYPES } = require('../services/contentSharingService');
+const { MEDIA_KINDS } = require('../services/mediaCacheService');
+const { FORMAT_TYPES } = require('../services/contentFormatService');
+const { BROADCAST_SOURCES } = require('../services/autoBroadcastService');
+
+// 🔑 IDEMPOTENCY: a repeated Idempotency-Key replays the first response instead of sending again
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  try {
+    const { idempotency } = req.whatsappService;
+    const claim = await idempotency.claim(key, req);
+
+    // Nothing is sent for this request, so a file it uploaded (see uploadMedia) isn't needed
+    if (claim.state !== 'claimed' && req.newUpload) {
+      await req.whatsappService.mediaCache.removeUpload(req.newUpload);
+    }
+
+    if (claim.state === 'completed') {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(claim.statusCode).json(claim.body);
+    }
+    if (claim.state === 'in_progress') {
+      return res.status(409).json({ error: 'A request with this Idempotency-Key is still in progress' });
+    }
+    if (claim.state === 'mismatch') {
+      return res.status(422).json({ error: 'Idempotency-Key was already used with a different request body' });
+    }
+
+    // Keep successful responses; release the key on errors so the request can be retried
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        idempotency.complete(key, req, res.statusCode, body);
+      } else {
+        idempotency.release(key, req);
+      }
+      return json(body);
+    };
+
+    next();
+  } catch (error) {
+    if (req.newUpload) {
+      await req.whatsappService.mediaCache.removeUpload(req.newUpload).catch(() => {});
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
 
 // 🔗 CONNECT WHATSAPP
 router.post('/connect', async (req, res) => {
@@ -34,6 +84,15 @@ router.get('/status', (req, res) => {
   }
 });
 
+// 🚦 GET SEND RATE LIMIT STATUS
+router.get('/rate-limit', (req, res) => {
+  try {
+    res.json(req.whatsappService.rateLimiter.getStatus());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // 📇 GET CONTACTS
 router.get('/contacts', async (req, res) => {
   try {
@@ -47,14 +106,47 @@ router.get('/contacts', async (req, res) => {
 // ➕ ADD CONTACT
 router.post('/contacts', async (req, res) => {
   try {
-    const { name, phone, email } = req.body;
-    const result = await req.whatsappService.addContact(name, phone, email);
+    const { name, phone, email, customFields, language } = req.body;
+
+    if (language && !LANGUAGES.includes(language)) {
+      return res.status(400).json({ error: `Language must be one of: ${LANGUAGES.join(', ')}` });
+    }
+
+    const result = await req.whatsappService.addContact(name, phone, email, customFields, language);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🌐 SET CONTACT LANGUAGE
+router.put('/contacts/:id/language', async (req, res) => {
+  try {
+    const { language } = req.body;
+
+    if (!LANGUAGES.includes(language)) {
+      return res.status(400).json({ error: `Language must be one of: ${LANGUAGES.join(', ')}` });
+    }
+
+    const result = await req.whatsappService.setContactLanguage(req.params.id, language);
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// 📜 CONTENT SHARED WITH A CONTACT
+router.get('/contacts/:id/share-history', async (req, res) => {
+  try {
+    const history = await req.whatsappService.shareHistory.getTargetHistory('contact', req.params.id, {
+      limit: Math.min(parseInt(req.query.limit, 10) || 100, 500)
+    });
+    res.json(history);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // 🗑️ DELETE CONTACT
 router.delete('/contacts/:id', async (req, res) => {
   try {
@@ -132,19 +224,50 @@ router.get('/groups', async (req, res) => {
 // ➕ CREATE GROUP
 router.post('/groups', async (req, res) => {
   try {
-    const { name, contactIds } = req.body;
+    const { name, contactIds, language } = req.body;
     
     if (!name || !contactIds || contactIds.length === 0) {
       return res.status(400).json({ error: 'Group name and contacts are required' });
     }
+    if (language && !LANGUAGES.includes(language)) {
+      return res.status(400).json({ error: `Language must be one of: ${LANGUAGES.join(', ')}` });
+    }
     
-    const result = await req.whatsappService.createGroup(name, contactIds);
+    const result = await req.whatsappService.createGroup(name, contactIds, language);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🌐 SET GROUP LANGUAGE
+router.put('/groups/:id/language', async (req, res) => {
+  try {
+    const { language } = req.body;
+
+    if (!LANGUAGES.includes(language)) {
+      return res.status(400).json({ error: `Language must be one of: ${LANGUAGES.join(', ')}` });
+    }
+
+    const result = await req.whatsappService.setGroupLanguage(req.params.id, language);
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// 📜 CONTENT SHARED WITH A GROUP
+router.get('/groups/:id/share-history', async (req, res) => {
+  try {
+    const history = await req.whatsappService.shareHistory.getTargetHistory('group', req.params.id, {
+      limit: Math.min(parseInt(req.query.limit, 10) || 100, 500)
+    });
+    res.json(history);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // 🗑️ DELETE GROUP
 router.delete('/groups/:id', async (req, res) => {
   try {
@@ -157,11 +280,14 @@ router.delete('/groups/:id', async (req, res) => {
 });
 
 // 📤 SEND TO SINGLE CONTACT
-router.post('/send/contact/:id', async (req, res) => {
+router.post('/send/contact/:id', idempotent, async (req, res) => {
   try {
     const { id } = req.params;
-    const { message } = req.body;
-    const result = await req.whatsappService.sendToContact(id, message);
+    const { message, templateId, variables } = req.body;
+    const content = templateId
+      ? await req.whatsappService.templates.createRenderer(templateId, variables)
+      : message;
+    const result = await req.whatsappService.sendToContact(id, content);
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -169,22 +295,26 @@ router.post('/send/contact/:id', async (req, res) => {
 });
 
 // 📤 SEND TO MULTIPLE CONTACTS
-router.post('/send/contacts', async (req, res) => {
+router.post('/send/contacts', idempotent, async (req, res) => {
   try {
-    const { contactIds, message } = req.body;
-    const result = await req.whatsappService.sendToContacts(contactIds, message);
+    const { contactIds, message, name, templateId, variables } = req.body;
+    const result = await req.whatsappService.sendToContacts(contactIds, message, { name, templateId, variables });
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// 📤 SEND TO GROUP
-router.post('/send/group/:id', async (req, res) => {
+// 📤 QUEUE MESSAGE TO GROUP (a group without a WhatsApp chat is sent member by member by the worker)
+router.post('/send/group/:id', idempotent, async (req, res) => {
   try {
     const { id } = req.params;
-    const { message } = req.body;
-    const result = await req.whatsappService.sendToGroup(id, message);
+    const { message, name, templateId, variables } = req.body;
+    const result = await req.whatsappService.sendToSelection([], [id], message, {
+      name,
+      templateId,
+      variables
+    });
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -192,50 +322,963 @@ router.post('/send/group/:id', async (req, res) => {
 });
 
 // 📤 SEND TO MIXED SELECTION (contacts + groups)
-router.post('/send/selection', async (req, res) => {
+router.post('/send/selection', idempotent, async (req, res) => {
   try {
-    const { contactIds, groupIds, message } = req.body;
-    const result = await req.whatsappService.sendToSelection(contactIds, groupIds, message);
+    const { contactIds, groupIds, message, name, templateId, variables } = req.body;
+    const result = await req.whatsappService.sendToSelection(contactIds, groupIds, message, {
+      name,
+      templateId,
+      variables
+    });
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// 📊 GET ALL CONTENT FOR SHARING
-router.get('/content', async (req, res) => {
+// 📎 OPTIONAL MULTIPART UPLOAD: a `file` field is stored in the media cache and sent like a URL
+const uploadMedia = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: req.whatsappService.mediaCache.getMaxUploadBytes() }
+  }).single('file');
+
+  upload(req, res, async (error) => {
+    if (error) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: error.message });
+    }
+    if (!req.file) {
+      return next();
+    }
+
+    try {
+      const { url, stored } = await req.whatsappService.mediaCache.storeUpload(req.file);
+      req.body.url = url;
+      req.newUpload = stored ? url : null; // removed again if idempotency short-circuits the request
+      next();
+    } catch (uploadError) {
+      res.status(uploadError.code === 'MEDIA_TOO_LARGE' ? 413 : 500).json({ error: uploadError.message });
+    }
+  });
+};
+
+// 🔧 UTILITY: Read media fields from a JSON or multipart body (multipart sends everything as strings)
+const getMediaRequest = (body) => ({
+  kind: body.kind || 'image',
+  url: body.url,
+  caption: body.caption || '',
+  asVoice: body.asVoice === true || body.asVoice === 'true'
+});
+
+const validateMediaRequest = (media) => {
+  if (!MEDIA_KINDS.includes(media.kind)) {
+    return `Media type must be one of: ${MEDIA_KINDS.join(', ')}`;
+  }
+  if (!media.url) {
+    return 'A media URL or file upload is required';
+  }
+  return null;
+};
+
+// 🔧 UTILITY: ID lists arrive as arrays (JSON), JSON strings or comma-separated strings (multipart)
+const toIdList = (value) => {
+  if (Array.isArray(value)) return value;
+  if (!value) return [];
+  if (value.trim().startsWith('[')) return JSON.parse(value);
+  return value.split(',').map(id => id.trim()).filter(Boolean);
+};
+
+// 📎 SEND MEDIA TO SINGLE CONTACT
+router.post('/send/media/contact/:id', uploadMedia, idempotent, async (req, res) => {
   try {
-    const contentSharingService = new ContentSharingService(); // Create here
-    const content = await contentSharingService.getAllContent();
-    res.json(content);
+    const { id } = req.params;
+    const media = getMediaRequest(req.body);
+
+    const invalid = validateMediaRequest(media);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const result = await req.whatsappService.sendMediaToContact(id, media.url, media);
+    res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// 📤 SHARE SELECTED CONTENT
-router.post('/share', async (req, res) => {
+// 📎 QUEUE MEDIA TO GROUP
+router.post('/send/media/group/:id', uploadMedia, idempotent, async (req, res) => {
   try {
-    const { selectedContent, contactIds = [], groupIds = [], delaySeconds = 5 } = req.body;
-    
-    if (!selectedContent || selectedContent.length === 0) {
-      return res.status(400).json({ error: 'Please select content to share' });
+    const { id } = req.params;
+    const media = getMediaRequest(req.body);
+
+    const invalid = validateMediaRequest(media);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const result = await req.whatsappService.sendMediaToSelection([], [id], media, {
+      name: req.body.name
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 📎 QUEUE MEDIA TO MIXED SELECTION
+router.post('/send/media/selection', uploadMedia, idempotent, async (req, res) => {
+  try {
+    const media = getMediaRequest(req.body);
+
+    const invalid = validateMediaRequest(media);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    let contactIds;
+    let groupIds;
+    try {
+      contactIds = toIdList(req.body.contactIds);
+      groupIds = toIdList(req.body.groupIds);
+    } catch (parseError) {
+      return res.status(400).json({ error: 'contactIds and groupIds must be arrays' });
     }
 
     if (contactIds.length === 0 && groupIds.length === 0) {
-      return res.status(400).json({ error: 'Please select contacts or groups to share with' });
+      return res.status(400).json({ error: 'Please select contacts or groups to send to' });
     }
 
-    const contentSharingService = new ContentSharingService(); // Create here
-    const results = await contentSharingService.shareContent(
-      req.whatsappService,
-      selectedContent,
-      contactIds,
-      groupIds,
-      delaySeconds
-    );
+    const result = await req.whatsappService.sendMediaToSelection(contactIds, groupIds, media, {
+      name: req.body.name
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    res.json(results);
+// 📊 OUTREACH ANALYTICS (?month=2026-09, or ?from=...&to=...; defaults to the last 30 days)
+router.get('/analytics', async (req, res) => {
+  try {
+    const { month, from, to, top } = req.query;
+
+    let fromDate = from ? new Date(from) : null;
+    let toDate = to ? new Date(to) : null;
+    // A date-only `to` includes that whole (UTC) day
+    if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      toDate = new Date(toDate.getTime() + 24 * 60 * 60 * 1000 - 1);
+    }
+    if (month) {
+      if (!/^\d{4}-\d{2}$/.test(month)) {
+        return res.status(400).json({ error: 'month must look like 2026-09' });
+      }
+      fromDate = new Date(`${month}-01T00:00:00Z`);
+      toDate = new Date(Date.UTC(fromDate.getUTCFullYear(), fromDate.getUTCMonth() + 1, 1) - 1);
+    }
+
+    if ((fromDate && Number.isNaN(fromDate.getTime())) || (toDate && Number.isNaN(toDate.getTime()))) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+    if (fromDate && toDate && fromDate > toDate) {
+      return res.status(400).json({ error: 'from must be before to' });
+    }
+
+    const report = await req.whatsappService.analytics.getReport({
+      from: fromDate,
+      to: toDate,
+      top: Math.min(parseInt(top, 10) || 10, 100)
+    });
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 📋 LIST CAMPAIGNS
+router.get('/campaigns', async (req, res) => {
+  try {
+    const { status, limit } = req.query;
+    const campaigns = await req.whatsappService.campaigns.getCampaigns({
+      status,
+      limit: limit ? parseInt(limit, 10) : undefined
+    });
+    res.json(campaigns);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🔎 GET CAMPAIGN DETAILS
+router.get('/campaigns/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const campaign = await req.whatsappService.campaigns.getCampaign(id);
+    res.json(campaign);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ✔️ GET CAMPAIGN DELIVERY / READ RECEIPTS
+router.get('/campaigns/:id/receipts', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const receipts = await req.whatsappService.receipts.getCampaignReceipts(id);
+    res.json(receipts);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ✔️ GET MESSAGE STATUS
+router.get('/messages/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const message = await req.whatsappService.receipts.getMessage(id);
+    res.json(message);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ⏸️ PAUSE CAMPAIGN
+router.post('/campaigns/:id/pause', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await req.whatsappService.campaigns.pauseCampaign(id);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ▶️ RESUME CAMPAIGN
+router.post('/campaigns/:id/resume', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await req.whatsappService.campaigns.resumeCampaign(id);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🛑 CANCEL CAMPAIGN
+router.post('/campaigns/:id/cancel', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await req.whatsappService.campaigns.cancelCampaign(id);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ☠️ LIST DEAD LETTERS (sends that failed permanently or ran out of retries)
+router.get('/dead-letters', async (req, res) => {
+  try {
+    const { campaignId } = req.query;
+    const entries = await req.whatsappService.deadLetters.getEntries({ campaignId });
+    res.json(entries);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🔁 RETRY DEAD LETTER
+router.post('/dead-letters/:id/retry', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await req.whatsappService.deadLetters.retryEntry(id);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🗑️ DISCARD DEAD LETTER
+router.delete('/dead-letters/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await req.whatsappService.deadLetters.discardEntry(id);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 📥 LIST INBOX CONVERSATIONS
+router.get('/inbox', async (req, res) => {
+  try {
+    const { limit } = req.query;
+    const conversations = await req.whatsappService.inbox.getConversations(limit ? parseInt(limit, 10) : undefined);
+    res.json(conversations);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 💬 READ CONVERSATION THREAD
+router.get('/inbox/:chatId', async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const { limit, before } = req.query;
+    const thread = await req.whatsappService.inbox.getThread(chatId, {
+      limit: limit ? parseInt(limit, 10) : undefined,
+      before
+    });
+    res.json(thread);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ↩️ REPLY IN CONVERSATION
+router.post('/inbox/:chatId/reply', async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const { message, quotedMessageId } = req.body;
+
+    if (!message) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+
+    const result = await req.whatsappService.inbox.reply(chatId, message, quotedMessageId);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 👁️ MARK CONVERSATION AS READ
+router.post('/inbox/:chatId/read', async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const result = await req.whatsappService.inbox.markRead(chatId);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 📦 GET MEDIA CACHE STATUS
+router.get('/media-cache', async (req, res) => {
+  try {
+    const status = await req.whatsappService.mediaCache.getStatus();
+    res.json(status);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🧹 CLEAR MEDIA CACHE
+router.delete('/media-cache', async (req, res) => {
+  try {
+    const result = await req.whatsappService.mediaCache.clear();
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🛑 GET OPT-OUT LIST
+router.get('/opt-outs', async (req, res) => {
+  try {
+    const entries = await req.whatsappService.optOuts.getEntries();
+    res.json(entries);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ➕ ADD CONTACT / NUMBER TO OPT-OUT LIST
+router.post('/opt-outs', async (req, res) => {
+  try {
+    const { contactId, phone, note } = req.body;
+
+    if (!contactId && !phone) {
+      return res.status(400).json({ error: 'contactId or phone is required' });
+    }
+
+    const result = await req.whatsappService.optOuts.addEntry({ contactId, phone, note });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ➖ REMOVE NUMBER FROM OPT-OUT LIST
+router.delete('/opt-outs/:number', async (req, res) => {
+  try {
+    const { number } = req.params;
+    const result = await req.whatsappService.optOuts.removeEntry(number);
+    res.json(result);
+  } catch (error) {
+    res.status(error.code === 'NOT_FOUND' ? 404 : 500).json({ error: error.message });
+  }
+});
+
+// 🤖 GET AUTO-REPLY RULES
+router.get('/auto-replies', async (req, res) => {
+  try {
+    const rules = await req.whatsappService.autoReplies.getRules();
+    res.json(rules);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ➕ CREATE AUTO-REPLY RULE
+router.post('/auto-replies', async (req, res) => {
+  try {
+    const { name, keywords } = req.body;
+
+    if (!name || !Array.isArray(keywords) || keywords.length === 0) {
+      return res.status(400).json({ error: 'Rule name and keywords are required' });
+    }
+
+    const result = await req.whatsappService.autoReplies.createRule(req.body);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ✏️ UPDATE AUTO-REPLY RULE
+router.put('/auto-replies/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await req.whatsappService.autoReplies.updateRule(id, req.body);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🗑️ DELETE AUTO-REPLY RULE
+router.delete('/auto-replies/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await req.whatsappService.autoReplies.deleteRule(id);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 📡 GET AUTO-BROADCAST RULES
+router.get('/auto-broadcasts', async (req, res) => {
+  try {
+    const rules = await req.whatsappService.broadcasts.getRules();
+    res.json(rules);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 📜 GET AUTO-BROADCAST LOG
+router.get('/auto-broadcasts/log', async (req, res) => {
+  try {
+    const { ruleId, limit } = req.query;
+    const log = await req.whatsappService.broadcasts.getLog({
+      ruleId: ruleId || null,
+      limit: Math.min(parseInt(limit, 10) || 50, 500)
+    });
+    res.json(log);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ➕ CREATE AUTO-BROADCAST RULE
+router.post('/auto-broadcasts', async (req, res) => {
+  try {
+    const { name, sources, contactIds = [], groupIds = [], mediaMode = 'text' } = req.body;
+
+    if (!name || !Array.isArray(sources) || sources.length === 0) {
+      return res.status(400).json({ error: 'Rule name and sources are required' });
+    }
+    if (sources.some(source => !BROADCAST_SOURCES.includes(source))) {
+      return res.status(400).json({ error: `Sources must be one or more of: ${BROADCAST_SOURCES.join(', ')}` });
+    }
+    if (contactIds.length === 0 && groupIds.length === 0) {
+      return res.status(400).json({ error: 'Please select contacts or groups to broadcast to' });
+    }
+    if (!MEDIA_MODES.includes(mediaMode)) {
+      return res.status(400).json({ error: `Media mode must be one of: ${MEDIA_MODES.join(', ')}` });
+    }
+
+    const result = await req.whatsappService.broadcasts.createRule(req.body);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ✏️ UPDATE AUTO-BROADCAST RULE
+router.put('/auto-broadcasts/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await req.whatsappService.broadcasts.updateRule(id, req.body);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🗑️ DELETE AUTO-BROADCAST RULE
+router.delete('/auto-broadcasts/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await req.whatsappService.broadcasts.deleteRule(id);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🔴 GET LIVE NEWS FOLLOWED UP IN THE CHATS IT WAS SENT TO
+router.get('/live-news', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !['live', 'closed'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be "live" or "closed"' });
+    }
+
+    const items = await req.whatsappService.liveNews.getLiveNews({ status: status || null });
+    res.json(items);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🔎 GET ONE TRACKED LIVE NEWS ITEM WITH ITS CHATS
+router.get('/live-news/:contentId', async (req, res) => {
+  try {
+    const { contentId } = req.params;
+    const item = await req.whatsappService.liveNews.getLiveNewsItem(contentId);
+    res.json(item);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ⏹️ END LIVE COVERAGE NOW (sends the closing message)
+router.post('/live-news/:contentId/close', async (req, res) => {
+  try {
+    if (!req.whatsappService.isWhatsAppConnected()) {
+      return res.status(400).json({ error: 'WhatsApp is not connected' });
+    }
+
+    const { contentId } = req.params;
+    const result = await req.whatsappService.liveNews.closeLiveNews(contentId);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 📝 GET MESSAGE TEMPLATES
+router.get('/templates', async (req, res) => {
+  try {
+    const templates = await req.whatsappService.templates.getTemplates();
+    res.json(templates);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ➕ CREATE MESSAGE TEMPLATE
+router.post('/templates', async (req, res) => {
+  try {
+    const { name, body } = req.body;
+
+    if (!name || !body) {
+      return res.status(400).json({ error: 'Template name and body are required' });
+    }
+
+    const result = await req.whatsappService.templates.createTemplate(name, body);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ✏️ UPDATE MESSAGE TEMPLATE
+router.put('/templates/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, body } = req.body;
+    const result = await req.whatsappService.templates.updateTemplate(id, { name, body });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🗑️ DELETE MESSAGE TEMPLATE
+router.delete('/templates/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await req.whatsappService.templates.deleteTemplate(id);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 👀 PREVIEW MESSAGE TEMPLATE
+router.post('/templates/:id/preview', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { contactId, variables } = req.body;
+    const result = await req.whatsappService.templates.previewTemplate(id, contactId, variables);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🧾 GET CONTENT FORMATS (message layout per content type)
+router.get('/content-formats', async (req, res) => {
+  try {
+    const formats = await req.whatsappService.formats.getFormats();
+    res.json(formats);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🔎 GET CONTENT FORMAT
+router.get('/content-formats/:type', async (req, res) => {
+  try {
+    const { type } = req.params;
+
+    if (!FORMAT_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Content type must be one of: ${FORMAT_TYPES.join(', ')}` });
+    }
+
+    const format = await req.whatsappService.formats.getFormat(type);
+    res.json(format);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ✏️ SAVE CONTENT FORMAT
+router.put('/content-formats/:type', async (req, res) => {
+  try {
+    const { type } = req.params;
+    const { ar, en } = req.body;
+    const { formats } = req.whatsappService;
+
+    if (!FORMAT_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Content type must be one of: ${FORMAT_TYPES.join(', ')}` });
+    }
+    if (ar === undefined && en === undefined) {
+      return res.status(400).json({ error: 'An "ar" or "en" format is required' });
+    }
+
+    const invalid = formats.getFormatsError({ ar, en });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const result = await formats.saveFormat(type, { ar, en });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ↩️ RESET CONTENT FORMAT TO THE BUILT-IN ONE
+router.delete('/content-formats/:type', async (req, res) => {
+  try {
+    const { type } = req.params;
+
+    if (!FORMAT_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Content type must be one of: ${FORMAT_TYPES.join(', ')}` });
+    }
+
+    const result = await req.whatsappService.formats.resetFormat(type);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 👀 PREVIEW CONTENT FORMAT WITH A REAL ITEM (optionally with unsaved ar/en formats)
+router.post('/content-formats/:type/preview', async (req, res) => {
+  try {
+    const { type } = req.params;
+    const { contentId, language = 'ar', mediaMode = 'text', ar, en } = req.body;
+    const { contentSharingService } = req.whatsappService;
+
+    if (!FORMAT_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Content type must be one of: ${FORMAT_TYPES.join(', ')}` });
+    }
+    if (!contentId) {
+      return res.status(400).json({ error: 'contentId is required' });
+    }
+    if (!LANGUAGES.includes(language)) {
+      return res.status(400).json({ error: `Language must be one of: ${LANGUAGES.join(', ')}` });
+    }
+    if (!MEDIA_MODES.includes(mediaMode)) {
+      return res.status(400).json({ error: `Media mode must be one of: ${MEDIA_MODES.join(', ')}` });
+    }
+
+    const invalid = contentSharingService.formats.getFormatsError({ ar, en });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const result = await contentSharingService.previewFormat(type, contentId, { language, mediaMode, ar, en });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 📊 GET CONTENT FOR SHARING
+// Without query parameters everything is returned grouped by type; with any of
+// type (comma-separated), from, to, q, limit or cursor a filtered page is returned instead
+router.get('/content', async (req, res) => {
+  try {
+    const { type, from, to, q, limit, cursor } = req.query;
+    const { contentSharingService } = req.whatsappService;
+
+    if ([type, from, to, q, limit, cursor].every(value => value === undefined)) {
+      const content = await contentSharingService.getAllContent();
+      return res.json(content);
+    }
+
+    const types = type ? toIdList(type) : CONTENT_TYPES;
+    const unknownType = types.find(name => !CONTENT_TYPES.includes(name));
+    if (unknownType) {
+      return res.status(400).json({ error: `Content type must be one of: ${CONTENT_TYPES.join(', ')}` });
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && Number.isNaN(fromDate.getTime())) || (toDate && Number.isNaN(toDate.getTime()))) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    if (limit !== undefined && !(parseInt(limit, 10) > 0)) {
+      return res.status(400).json({ error: 'limit must be a positive number' });
+    }
+
+    if (cursor && !contentSharingService.decodeCursor(cursor)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const page = await contentSharingService.queryContent({
+      types,
+      from: fromDate,
+      to: toDate,
+      search: q,
+      limit,
+      cursor
+    });
+    res.json(page);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 👀 PREVIEW ONE CONTENT ITEM AS IT WOULD BE SHARED
+router.get('/content/:type/:id/preview', async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const { language = 'ar', mediaMode = 'text' } = req.query;
+
+    if (!CONTENT_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Content type must be one of: ${CONTENT_TYPES.join(', ')}` });
+    }
+    if (!LANGUAGES.includes(language)) {
+      return res.status(400).json({ error: `Language must be one of: ${LANGUAGES.join(', ')}` });
+    }
+    if (!MEDIA_MODES.includes(mediaMode)) {
+      return res.status(400).json({ error: `Media mode must be one of: ${MEDIA_MODES.join(', ')}` });
+    }
+
+    const preview = await req.whatsappService.contentSharingService.previewContent(type, id, { language, mediaMode });
+    res.json(preview);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 📜 WHO A CONTENT ITEM WAS SHARED WITH
+router.get('/content/:type/:id/history', async (req, res) => {
+  try {
+    const { type, id } = req.params;
+
+    if (!CONTENT_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Content type must be one of: ${CONTENT_TYPES.join(', ')}` });
+    }
+
+    const history = await req.whatsappService.shareHistory.getContentHistory(type, id, {
+      limit: Math.min(parseInt(req.query.limit, 10) || 100, 500)
+    });
+    res.json(history);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 📤 SHARE SELECTED CONTENT
+router.post('/share', idempotent, async (req, res) => {
+  try {
+    const {
+      selectedContent,
+      contactIds = [],
+      groupIds = [],
+      delaySeconds = 5,
+      name,
+      mediaMode = 'text',
+      locationPins = true,
+      rsvp = false,
+      skipShared = false
+    } = req.body;
+    
+    if (!selectedContent || selectedContent.length === 0) {
+      return res.status(400).json({ error: 'Please select content to share' });
+    }
+
+    if (contactIds.length === 0 && groupIds.length === 0) {
+      return res.status(400).json({ error: 'Please select contacts or groups to share with' });
+    }
+
+    if (!MEDIA_MODES.includes(mediaMode)) {
+      return res.status(400).json({ error: `Media mode must be one of: ${MEDIA_MODES.join(', ')}` });
+    }
+
+    const { contentSharingService } = req.whatsappService;
+    const results = await contentSharingService.shareContent(
+      req.whatsappService,
+      selectedContent,
+      contactIds,
+      groupIds,
+      delaySeconds,
+      { name, mediaMode, locationPins, rsvp, skipShared: skipShared === true }
+    );
+
+    res.json(results);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🗳️ RSVP TALLIES FOR ALL ACTIVITIES
+router.get('/rsvps', async (req, res) => {
+  try {
+    const tallies = await req.whatsappService.rsvps.getTallies();
+    res.json(tallies);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🗳️ RSVP TALLY AND VOTES FOR ONE ACTIVITY
+router.get('/rsvps/:activityId', async (req, res) => {
+  try {
+    const { activityId } = req.params;
+    const tally = await req.whatsappService.rsvps.getTally(activityId);
+    res.json(tally);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🗓️ SCHEDULE A SHARE OR MESSAGE
+router.post('/schedules', async (req, res) => {
+  try {
+    const {
+      kind = 'share',
+      name,
+      runAt,
+      repeat = null,
+      timezone,
+      whenDisconnected = 'defer',
+      message,
+      templateId,
+      variables,
+      selectedContent = [],
+      contactIds = [],
+      groupIds = [],
+      delaySeconds = 5,
+      mediaMode = 'text',
+      locationPins = true,
+      rsvp = false
+    } = req.body;
+
+    if (!runAt) {
+      return res.status(400).json({ error: 'Please choose when to send' });
+    }
+
+    if (contactIds.length === 0 && groupIds.length === 0) {
+      return res.status(400).json({ error: 'Please select contacts or groups to send to' });
+    }
+
+    let job;
+    if (kind === 'share') {
+      if (selectedContent.length === 0) {
+        return res.status(400).json({ error: 'Please select content to share' });
+      }
+      if (!MEDIA_MODES.includes(mediaMode)) {
+        return res.status(400).json({ error: `Media mode must be one of: ${MEDIA_MODES.join(', ')}` });
+      }
+      job = {
+        contentRefs: selectedContent.map(item => ({ id: item.id, type: item.type })),
+        contactIds,
+        groupIds,
+        delaySeconds,
+        mediaMode,
+        locationPins,
+        rsvp
+      };
+    } else if (kind === 'message') {
+      if (!message && !templateId) {
+        return res.status(400).json({ error: 'Message or template is required' });
+      }
+      job = { message: message || null, templateId: templateId || null, variables: variables || {}, contactIds, groupIds };
+    } else {
+      return res.status(400).json({ error: 'Schedule kind must be "share" or "message"' });
+    }
+
+    const result = await req.whatsappService.scheduler.createSchedule({
+      kind,
+      name,
+      runAt,
+      repeat,
+      timezone,
+      whenDisconnected,
+      job
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 📋 LIST SCHEDULES
+router.get('/schedules', async (req, res) => {
+  try {
+    const schedules = await req.whatsappService.scheduler.getSchedules();
+    res.json(schedules);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 🛑 CANCEL SCHEDULE
+router.delete('/schedules/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await req.whatsappService.scheduler.cancelSchedule(id);
+    res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -0,0 +1,259 @@
+const admin = require('firebase-admin');
+
+const DEFAULT_RANGE_DAYS = 30;
+const DEFAULT_TOP_CONTENT = 10;
+
+// Messages sent outside a content share (plain, template and media sends) are reported under this type
+const NO_CONTENT_TYPE = 'other';
+
+// Failed acks carry no error text of their own
+const FAILED_ACK_REASON = 'Rejected by WhatsApp after sending';
+
+class AnalyticsService {
+  constructor(whatsappService) {
+    this.whatsappService = whatsappService;
+  }
+
+  getDatabase() {
+    return this.whatsappService.getDatabase();
+  }
+
+  // 📊 OUTREACH REPORT FOR A DATE RANGE
+  // Built from the send log (whatsapp_messages), queue results (campaign recipients) and the share history;
+  // days are UTC, like the rate limiter's daily cap. `sent` counts every message WhatsApp accepted,
+  // `failed` counts sends that never went out plus messages WhatsApp rejected afterwards
+  async getReport({ from = null, to = null, top = DEFAULT_TOP_CONTENT } = {}) {
+    try {
+      const rangeTo = to || new Date();
+      const rangeFrom = from || new Date(rangeTo.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+      const [messages, failures, shares, groups] = await Promise.all([
+        this.getMessages(rangeFrom, rangeTo),
+        this.getFailures(rangeFrom, rangeTo),
+        this.getShares(rangeFrom, rangeTo),
+        this.getGroups()
+      ]);
+
+      // Messages WhatsApp rejected after accepting them are failures too
+      const rejected = messages
+        .filter(message => message.status === 'failed')
+        .map(message => ({ ...message, error: FAILED_ACK_REASON, at: message.failedAt || message.sentAt }));
+      const allFailures = [...failures, ...rejected];
+
+      return {
+        from: rangeFrom,
+        to: rangeTo,
+        totals: this.countMessages(messages, allFailures),
+        byDay: this.groupCounts(messages, allFailures, record => this.getDayKey(record.sentAt || record.at), 'date')
+          .sort((a, b) => a.date.localeCompare(b.date)),
+        byContentType: this.groupCounts(messages, allFailures, record => record.contentType || NO_CONTENT_TYPE, 'contentType')
+          .sort((a, b) => b.sent - a.sent),
+        byTarget: await this.getTargetCounts(messages, allFailures, groups),
+        topContent: this.getTopContent(shares, messages, top),
+        groupReach: this.getGroupReach(shares, messages, groups),
+        failureReasons: this.getFailureReasons(allFailures)
+      };
+    } catch (error) {
+      console.error('❌ Error building analytics report:', error);
+      throw error;
+    }
+  }
+
+  // 🔧 UTILITY: Messages sent in the range, from the send log
+  async getMessages(from, to) {
+    const snapshot = await this.getDatabase().collection(this.whatsappService.receipts.collectionName)
+      .where('sentAt', '>=', admin.firestore.Timestamp.fromDate(from))
+      .where('sentAt', '<=', admin.firestore.Timestamp.fromDate(to))
+      .get();
+
+    return snapshot.docs.map(doc => {
+      const data = doc.data();
+      return { ...data, sentAt: data.sentAt?.toDate?.() || null, failedAt: data.failedAt?.toDate?.() || null };
+    });
+  }
+
+  // 🔧 UTILITY: Queued sends that failed in the range (one per contact/group step, plus each group member
+  // a group without a WhatsApp chat could not reach)
+  async getFailures(from, to) {
+    // Every processed step touches its campaign, so campaigns untouched since `from` have nothing in range
+    const campaigns = await this.whatsappService.campaigns.getCollection()
+      .where('updatedAt', '>=', admin.firestore.Timestamp.fromDate(from))
+      .get();
+
+    const perCampaign = await Promise.all(campaigns.docs.map(async campaign => {
+      const snapshot = await campaign.ref.collection('recipients').get();
+      return snapshot.docs
+        .map(doc => ({ ...doc.data(), campaignId: campaign.id, at: doc.data().processedAt?.toDate?.() || null }))
+        .filter(step => step.at && step.at >= from && step.at <= to);
+    }));
+
+    return perCampaign.flat().flatMap(step => {
+      const failures = (step.failedMembers || []).map(member => ({
+        ...step,
+        error: member.error,
+        contactId: member.contactId,
+        groupId: step.targetId
+      }));
+
+      if (step.status === 'failed') {
+        failures.push({
+          ...step,
+          contactId: step.targetType === 'contact' ? step.targetId : null,
+          groupId: step.targetType === 'group' ? step.targetId : null
+        });
+      }
+      return failures;
+    });
+  }
+
+  // 🔧 UTILITY: Content deliveries in the range, from the share history
+  async getShares(from, to) {
+    const snapshot = await this.whatsappService.shareHistory.getCollection()
+      .where('sharedAt', '>=', admin.firestore.Timestamp.fromDate(from))
+      .where('sharedAt', '<=', admin.firestore.Timestamp.fromDate(to))
+      .get();
+
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  async getGroups() {
+    const snapshot = await this.getDatabase().collection('whatsapp_groups').get();
+    return new Map(snapshot.docs.map(doc => [doc.id, doc.data()]));
+  }
+
+  countMessages(messages, failures) {
+    return {
+      sent: messages.length,
+      // A read message was also delivered
+      delivered: messages.filter(message => ['delivered', 'read'].includes(message.status)).length,
+      read: messages.filter(message => message.status === 'read').length,
+      failed: failures.length
+    };
+  }
+
+  // 🔧 UTILITY: Counts per key, e.g. per day or per content type
+  groupCounts(messages, failures, getKey, keyName) {
+    const buckets = new Map();
+    const bucket = key => {
+      if (!buckets.has(key)) {
+        buckets.set(key, { messages: [], failures: [] });
+      }
+      return buckets.get(key);
+    };
+
+    messages.forEach(message => bucket(getKey(message)).messages.push(message));
+    failures.forEach(failure => bucket(getKey(failure)).failures.push(failure));
+
+    return [...buckets].map(([key, records]) => ({
+      [keyName]: key,
+      ...this.countMessages(records.messages, records.failures)
+    }));
+  }
+
+  // 🔧 UTILITY: Counts per contact and group (a member reached through a group counts for the group)
+  async getTargetCounts(messages, failures, groups) {
+    const getKey = record => {
+      if (record.groupId) return `group:${record.groupId}`;
+      if (record.contactId) return `contact:${record.contactId}`;
+      return `chat:${record.chatId || 'unknown'}`;
+    };
+
+    const counts = this.groupCounts(messages, failures, getKey, 'key');
+    const contactIds = counts.filter(({ key }) => key.startsWith('contact:')).map(({ key }) => key.slice('contact:'.length));
+    const contactDocs = await Promise.all(contactIds.map(id => this.getDatabase().collection('whatsapp_contacts').doc(id).get()));
+    const contactNames = new Map(contactDocs.filter(doc => doc.exists).map(doc => [doc.id, doc.data().name]));
+
+    return counts
+      .map(({ key, ...count }) => {
+        const [targetType, targetId] = [key.slice(0, key.indexOf(':')), key.slice(key.indexOf(':') + 1)];
+        const name = targetType === 'group' ? groups.get(targetId)?.name : contactNames.get(targetId);
+        return { targetType, targetId, name: name || null, ...count };
+      })
+      .sort((a, b) => b.sent - a.sent);
+  }
+
+  // 🏆 MOST-SHARED CONTENT ITEMS (by deliveries, then by distinct chats)
+  getTopContent(shares, messages, top) {
+    const readMessageIds = new Set(messages.filter(message => message.status === 'read').map(message => message.messageId));
+    const items = new Map();
+
+    shares.forEach(share => {
+      const key = `${share.contentType}:${share.contentId}`;
+      if (!items.has(key)) {
+        items.set(key, {
+          contentType: share.contentType,
+          contentId: share.contentId,
+          name: share.contentName || null,
+          shares: 0,
+          read: 0,
+          targets: new Set(),
+          chats: new Set()
+        });
+      }
+
+      const item = items.get(key);
+      item.shares++;
+      item.targets.add(`${share.targetType}:${share.targetId}`);
+      item.chats.add(share.chatId);
+      if (readMessageIds.has(share.messageId)) {
+        item.read++;
+      }
+    });
+
+    return [...items.values()]
+      .map(item => ({ ...item, targets: item.targets.size, chats: item.chats.size }))
+      .sort((a, b) => b.shares - a.shares || b.chats - a.chats)
+      .slice(0, top);
+  }
+
+  // 👥 HOW MANY PEOPLE EACH GROUP'S SHARES REACHED
+  // A WhatsApp group reaches all its members with one message; a group without one reaches the members
+  // that were actually sent to. `impressions` counts every item each member received
+  getGroupReach(shares, messages, groups) {
+    return [...groups].map(([groupId, group]) => {
+      const groupShares = shares.filter(share => share.groupId === groupId);
+      const groupMessages = messages.filter(message => message.groupId === groupId);
+      const members = (group.contacts || []).length;
+      const items = new Set(groupShares.map(share => `${share.contentType}:${share.contentId}`)).size;
+
+      const reach = group.whatsappGroupId
+        ? (items > 0 ? members : 0)
+        : new Set(groupShares.map(share => share.contactId)).size;
+      const impressions = group.whatsappGroupId ? groupShares.length * members : groupShares.length;
+
+      return {
+        groupId,
+        name: group.name || null,
+        members,
+        itemsShared: items,
+        reach,
+        impressions,
+        messagesSent: groupMessages.length,
+        messagesRead: groupMessages.filter(message => message.status === 'read').length
+      };
+    }).sort((a, b) => b.reach - a.reach || b.impressions - a.impressions);
+  }
+
+  // ⚠️ FAILURES GROUPED BY REASON (phone numbers and chat IDs left out so the same reason groups together)
+  getFailureReasons(failures) {
+    const reasons = new Map();
+    failures.forEach(failure => {
+      const reason = (failure.error || 'Unknown error').replace(/\+?\d{6,}(@[\w.]+)?/g, '<number>').trim();
+      reasons.set(reason, (reasons.get(reason) || 0) + 1);
+    });
+
+    return [...reasons]
+      .map(([reason, count]) => ({
+        reason,
+        count,
+        percent: Math.round((count / failures.length) * 100)
+      }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  getDayKey(date) {
+    return date ? date.toISOString().slice(0, 10) : 'unknown';
+  }
+}
+
+module.exports = AnalyticsService;
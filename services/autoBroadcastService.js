@@ -0,0 +1,430 @@
+const admin = require('firebase-admin');
+const { MEDIA_MODES } = require('./contentSharingService');
+const { normalizeSearchText } = require('./textUtils');
+
+// Content a rule can broadcast, by content type, and the collection it is published to
+const BROADCAST_SOURCES = {
+  news: 'news',
+  liveNews: 'news',
+  activity: 'activities'
+};
+
+// Collections watched for new documents
+const WATCHED_COLLECTIONS = [...new Set(Object.values(BROADCAST_SOURCES))];
+
+const RULES_CACHE_MS = 60 * 1000;
+const LISTENER_RETRY_MS = 60 * 1000;
+const DEFAULT_COOLDOWN_MINUTES = 10;
+
+// How often items held back by a rule's cooldown are checked
+const DEFERRED_CHECK_MS = 30 * 1000;
+
+class AutoBroadcastService {
+  constructor(whatsappService) {
+    this.whatsappService = whatsappService;
+    this.contentSharingService = whatsappService.contentSharingService;
+    this.collectionName = 'whatsapp_broadcast_rules';
+    this.logCollectionName = 'whatsapp_broadcast_log';
+    this.rulesCache = null;
+    this.rulesLoadedAt = 0;
+    this.unsubscribers = [];
+    this.retryTimeout = null;
+    this.deferredInterval = null;
+    this.isSendingDeferred = false;
+    this.watchedSince = {}; // collection -> createdAt of the newest document seen, kept across listener restarts
+    this.pending = Promise.resolve(); // new documents are handled in order
+  }
+
+  getCollection() {
+    return this.whatsappService.getDatabase().collection(this.collectionName);
+  }
+
+  getLogCollection() {
+    return this.whatsappService.getDatabase().collection(this.logCollectionName);
+  }
+
+  // ▶️ WATCH NEWS AND ACTIVITIES FOR NEW DOCUMENTS
+  // Only documents created after this point are broadcast, so a restart never re-sends the back catalogue
+  // (anything published while the server is down is not broadcast either). A listener restarted after an
+  // error picks up from the newest document it had seen, so nothing published in between is missed
+  start() {
+    this.stop();
+
+    const now = admin.firestore.Timestamp.now();
+    WATCHED_COLLECTIONS.forEach(collection => {
+      this.watchedSince[collection] = this.watchedSince[collection] || now;
+    });
+
+    // `createdAt` is a Timestamp or an ISO date string depending on who wrote the document, and a
+    // Firestore range only matches values of its own type, so each collection is watched for both
+    this.unsubscribers = WATCHED_COLLECTIONS.flatMap(collection => {
+      const since = this.watchedSince[collection];
+      return [this.watch(collection, since), this.watch(collection, since.toDate().toISOString())];
+    });
+    this.deferredInterval = setInterval(() => this.sendDeferred(), DEFERRED_CHECK_MS);
+    console.log(`📡 Auto-broadcast watching ${WATCHED_COLLECTIONS.join(', ')}`);
+  }
+
+  // ⏹️ STOP WATCHING
+  stop() {
+    clearTimeout(this.retryTimeout);
+    this.retryTimeout = null;
+    clearInterval(this.deferredInterval);
+    this.deferredInterval = null;
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+  }
+
+  watch(collection, since) {
+    return this.whatsappService.getDatabase().collection(collection)
+      .where('createdAt', '>', since)
+      .onSnapshot(snapshot => {
+        // One at a time, in publishing order, so a rule's cooldown sees the previous broadcast
+        snapshot.docChanges()
+          .filter(change => change.type === 'added')
+          .forEach(change => {
+            const createdAt = this.toTimestamp(change.doc.data().createdAt);
+            if (createdAt && createdAt.toMillis() > this.watchedSince[collection].toMillis()) {
+              this.watchedSince[collection] = createdAt;
+            }
+            this.pending = this.pending.then(() => this.handleNewDocument(collection, change.doc));
+          });
+      }, error => {
+        console.error(`❌ Auto-broadcast listener on ${collection} failed, restarting in ${LISTENER_RETRY_MS / 1000}s:`, error);
+        if (!this.retryTimeout) {
+          this.retryTimeout = setTimeout(() => this.start(), LISTENER_RETRY_MS);
+        }
+      });
+  }
+
+  // 📡 SHARE A NEWLY PUBLISHED DOCUMENT THROUGH EVERY MATCHING RULE
+  async handleNewDocument(collection, doc) {
+    try {
+      const type = this.getContentType(collection, doc);
+      const rules = (await this.getActiveRules()).filter(rule => rule.sources.includes(type));
+      if (rules.length === 0) {
+        return;
+      }
+
+      const item = this.contentSharingService.normalizeContent(doc, type);
+      for (const rule of rules) {
+        if (this.matchesFilters(rule, item)) {
+          await this.applyRule(rule, item);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error handling new content for auto-broadcast:', error);
+    }
+  }
+
+  // 📤 QUEUE ONE ITEM FOR ONE RULE, UNLESS ALREADY SENT
+  // While the rule is cooling down the item is deferred, and sent when the cooldown ends (see sendDeferred)
+  async applyRule(rule, item) {
+    try {
+      const ruleRef = this.getCollection().doc(rule.id);
+      const logRef = this.getLogCollection().doc(`${rule.id}_${item.type}_${item.id}`);
+
+      // Claimed in a transaction so two server instances can't both send, and the cooldown holds across them
+      const status = await this.whatsappService.getDatabase().runTransaction(async transaction => {
+        const logDoc = await transaction.get(logRef);
+        const ruleDoc = await transaction.get(ruleRef);
+        if (logDoc.exists || !ruleDoc.exists) {
+          return 'duplicate';
+        }
+
+        const sendAfter = this.getCooldownEnd(ruleDoc);
+        const claimed = sendAfter ? 'deferred' : 'queued';
+
+        transaction.set(logRef, {
+          ruleId: rule.id,
+          ruleName: rule.name,
+          contentId: item.id,
+          contentType: item.type,
+          status: claimed,
+          sendAfter,
+          campaignId: null,
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        if (claimed === 'queued') {
+          transaction.update(ruleRef, { lastBroadcastAt: admin.firestore.FieldValue.serverTimestamp() });
+        }
+        return claimed;
+      });
+
+      if (status === 'duplicate') {
+        return null;
+      }
+
+      const name = item.nameAr || item.nameEn || item.titleAr || item.titleEn;
+      if (status === 'deferred') {
+        console.log(`⏳ Auto-broadcast "${rule.name}" is cooling down, deferred ${item.type}: ${name}`);
+        this.whatsappService.io.emit('auto-broadcast', { ruleId: rule.id, contentId: item.id, contentType: item.type, status });
+        return { status };
+      }
+
+      return await this.queueBroadcast(rule, item, logRef);
+    } catch (error) {
+      console.error(`❌ Error applying auto-broadcast rule ${rule.id}:`, error);
+      return null;
+    }
+  }
+
+  // ⏳ SEND ITEMS WHOSE RULE HAS COOLED DOWN (oldest first, one per cooldown)
+  async sendDeferred() {
+    if (this.isSendingDeferred) {
+      return;
+    }
+
+    this.isSendingDeferred = true;
+    try {
+      const snapshot = await this.getLogCollection().where('status', '==', 'deferred').get();
+      const entries = snapshot.docs
+        .filter(doc => (doc.data().sendAfter?.toMillis?.() || 0) <= Date.now())
+        .sort((a, b) => (a.data().createdAt?.toMillis?.() || 0) - (b.data().createdAt?.toMillis?.() || 0));
+
+      for (const entry of entries) {
+        await this.sendDeferredEntry(entry);
+      }
+    } catch (error) {
+      console.error('❌ Error sending deferred auto-broadcasts:', error);
+    } finally {
+      this.isSendingDeferred = false;
+    }
+  }
+
+  async sendDeferredEntry(entry) {
+    const { ruleId, contentId, contentType } = entry.data();
+    const ruleRef = this.getCollection().doc(ruleId);
+
+    // Claimed like a new item; another deferred item of the same rule may have taken this cooldown slot
+    const status = await this.whatsappService.getDatabase().runTransaction(async transaction => {
+      const logDoc = await transaction.get(entry.ref);
+      const ruleDoc = await transaction.get(ruleRef);
+      if (!logDoc.exists || logDoc.data().status !== 'deferred') {
+        return 'duplicate';
+      }
+      if (!ruleDoc.exists || ruleDoc.data().enabled === false) {
+        transaction.update(entry.ref, { status: 'cancelled', sendAfter: null });
+        return 'cancelled';
+      }
+
+      const sendAfter = this.getCooldownEnd(ruleDoc);
+      if (sendAfter) {
+        transaction.update(entry.ref, { sendAfter });
+        return 'deferred';
+      }
+
+      transaction.update(entry.ref, { status: 'queued', sendAfter: null });
+      transaction.update(ruleRef, { lastBroadcastAt: admin.firestore.FieldValue.serverTimestamp() });
+      return 'queued';
+    });
+
+    if (status !== 'queued') {
+      return null;
+    }
+
+    try {
+      const rule = { id: ruleId, ...(await ruleRef.get()).data() };
+      const item = await this.contentSharingService.getContentItem(contentType, contentId);
+      return await this.queueBroadcast(rule, item, entry.ref);
+    } catch (error) {
+      console.error(`❌ Error sending deferred auto-broadcast ${entry.id}:`, error);
+      await entry.ref.update({ status: 'failed', error: error.message });
+      return null;
+    }
+  }
+
+  // 📤 QUEUE A CLAIMED ITEM AS A CAMPAIGN
+  async queueBroadcast(rule, item, logRef) {
+    const status = 'queued';
+    const name = item.nameAr || item.nameEn || item.titleAr || item.titleEn;
+    const result = await this.contentSharingService.shareContent(
+      this.whatsappService,
+      [item],
+      rule.contactIds,
+      rule.groupIds,
+      rule.delaySeconds,
+      { name: `Auto-broadcast: ${rule.name}`, mediaMode: rule.mediaMode, locationPins: rule.locationPins, rsvp: rule.rsvp }
+    );
+    await logRef.update({ campaignId: result.campaignId });
+
+    console.log(`📡 Auto-broadcast "${rule.name}" queued ${item.type}: ${name} (campaign ${result.campaignId})`);
+    this.whatsappService.io.emit('auto-broadcast', {
+      ruleId: rule.id,
+      contentId: item.id,
+      contentType: item.type,
+      status,
+      campaignId: result.campaignId
+    });
+    return { status, campaignId: result.campaignId };
+  }
+
+  // 🔧 UTILITY: When the rule's cooldown ends, or null when it isn't cooling down
+  getCooldownEnd(ruleDoc) {
+    const lastBroadcastAt = ruleDoc.data().lastBroadcastAt?.toMillis?.() || 0;
+    const cooldownMs = (ruleDoc.data().cooldownMinutes || 0) * 60 * 1000;
+    return Date.now() - lastBroadcastAt < cooldownMs
+      ? admin.firestore.Timestamp.fromMillis(lastBroadcastAt + cooldownMs)
+      : null;
+  }
+
+  // 🔧 UTILITY: A document's createdAt as a Timestamp, whether stored as one or as a date string
+  toTimestamp(value) {
+    if (value instanceof admin.firestore.Timestamp) {
+      return value;
+    }
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date.getTime()) ? admin.firestore.Timestamp.fromDate(date) : null;
+  }
+
+  // 📋 LIST RULES
+  async getRules() {
+    try {
+      const snapshot = await this.getCollection().get();
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      console.error('❌ Error getting auto-broadcast rules:', error);
+      throw error;
+    }
+  }
+
+  // ➕ CREATE RULE
+  async createRule(data) {
+    try {
+      const rule = {
+        ...this.validateRule(data),
+        lastBroadcastAt: null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      const docRef = await this.getCollection().add(rule);
+      this.rulesCache = null;
+      console.log(`✅ Auto-broadcast rule created: ${rule.name}`);
+
+      return { success: true, id: docRef.id, ...rule };
+    } catch (error) {
+      console.error('❌ Error creating auto-broadcast rule:', error);
+      throw error;
+    }
+  }
+
+  // ✏️ UPDATE RULE
+  async updateRule(ruleId, data) {
+    try {
+      const docRef = this.getCollection().doc(ruleId);
+      const doc = await docRef.get();
+      if (!doc.exists) {
+        throw new Error('Auto-broadcast rule not found');
+      }
+
+      const rule = this.validateRule({ ...doc.data(), ...data });
+      await docRef.update({ ...rule, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      this.rulesCache = null;
+      console.log(`✏️ Auto-broadcast rule updated: ${ruleId}`);
+
+      return { success: true, id: ruleId };
+    } catch (error) {
+      console.error('❌ Error updating auto-broadcast rule:', error);
+      throw error;
+    }
+  }
+
+  // 🗑️ DELETE RULE
+  async deleteRule(ruleId) {
+    try {
+      await this.getCollection().doc(ruleId).delete();
+      this.rulesCache = null;
+      console.log(`✅ Auto-broadcast rule deleted: ${ruleId}`);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error deleting auto-broadcast rule:', error);
+      throw error;
+    }
+  }
+
+  // 📜 RECENT BROADCASTS (queued and deferred for cooldown), newest first
+  async getLog({ ruleId = null, limit = 50 } = {}) {
+    try {
+      let query = this.getLogCollection();
+      if (ruleId) {
+        query = query.where('ruleId', '==', ruleId);
+      }
+
+      const snapshot = await query.get();
+      return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0))
+        .slice(0, limit);
+    } catch (error) {
+      console.error('❌ Error getting auto-broadcast log:', error);
+      throw error;
+    }
+  }
+
+  // 🔧 UTILITY: Enabled rules, cached briefly so every new document doesn't read Firestore
+  async getActiveRules() {
+    if (!this.rulesCache || Date.now() - this.rulesLoadedAt > RULES_CACHE_MS) {
+      this.rulesCache = (await this.getRules()).filter(rule => rule.enabled !== false);
+      this.rulesLoadedAt = Date.now();
+    }
+    return this.rulesCache;
+  }
+
+  // 🔧 UTILITY: Content type of a watched document (live news is a news document with type 'live')
+  getContentType(collection, doc) {
+    if (collection === 'activities') {
+      return 'activity';
+    }
+    return doc.get('type') === 'live' ? 'liveNews' : 'news';
+  }
+
+  // 🔧 UTILITY: Any keyword present, no excluded keyword present (in the Ar or En text)
+  matchesFilters(rule, item) {
+    const matches = keyword => this.contentSharingService.matchesSearch(item, [normalizeSearchText(keyword)]);
+
+    const keywords = rule.filters?.keywords || [];
+    const excludeKeywords = rule.filters?.excludeKeywords || [];
+    return (keywords.length === 0 || keywords.some(matches)) && !excludeKeywords.some(matches);
+  }
+
+  validateRule({ name, sources, filters = {}, contactIds = [], groupIds = [], mediaMode = 'text', locationPins = true, rsvp = false, cooldownMinutes = DEFAULT_COOLDOWN_MINUTES, delaySeconds = 5, enabled }) {
+    if (!name) {
+      throw new Error('Rule name is required');
+    }
+    if (!Array.isArray(sources) || sources.length === 0 || sources.some(source => !BROADCAST_SOURCES[source])) {
+      throw new Error(`Rule sources must be one or more of: ${Object.keys(BROADCAST_SOURCES).join(', ')}`);
+    }
+    if (!Array.isArray(contactIds) || !Array.isArray(groupIds) || contactIds.length + groupIds.length === 0) {
+      throw new Error('Rule needs at least one contact or group to send to');
+    }
+    if (!MEDIA_MODES.includes(mediaMode)) {
+      throw new Error(`Media mode must be one of: ${MEDIA_MODES.join(', ')}`);
+    }
+    if (!(Number(cooldownMinutes) >= 0)) {
+      throw new Error('cooldownMinutes must be zero or more');
+    }
+
+    const toKeywords = list => (Array.isArray(list) ? list : []).filter(Boolean).map(keyword => String(keyword).trim());
+
+    return {
+      name: name.trim(),
+      sources: [...new Set(sources)],
+      filters: {
+        keywords: toKeywords(filters.keywords),
+        excludeKeywords: toKeywords(filters.excludeKeywords)
+      },
+      contactIds,
+      groupIds,
+      mediaMode,
+      locationPins: locationPins !== false,
+      rsvp: rsvp === true,
+      cooldownMinutes: Number(cooldownMinutes),
+      delaySeconds: Math.max(0, Number(delaySeconds) || 0),
+      enabled: enabled !== false
+    };
+  }
+}
+
+module.exports = AutoBroadcastService;
+module.exports.BROADCAST_SOURCES = Object.keys(BROADCAST_SOURCES);
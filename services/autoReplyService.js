@@ -0,0 +1,348 @@
+const admin = require('firebase-admin');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('./contentSharingService');
+
+// Where a rule's reply comes from
+const REPLY_SOURCES = ['latestNews', 'upcomingActivities', 'liveNews', 'text'];
+
+// Saved to Firestore the first time rules are read, then edited from there
+// `title` and `emptyReply` can be plain text or { ar, en }; the sender gets their language (both for 'both')
+const DEFAULT_RULES = [
+  {
+    name: 'Latest news',
+    keywords: ['news', 'أخبار', 'اخبار'],
+    source: 'latestNews',
+    limit: 3,
+    title: { ar: '\u200F📰 *آخر الأخبار*', en: '📰 *Latest news*' },
+    reply: '{title}\n\n{items}',
+    emptyReply: { ar: '\u200Fلم تُنشر أي أخبار بعد.', en: 'No news has been published yet.' },
+    enabled: true
+  },
+  {
+    name: 'Upcoming activities',
+    keywords: ['activities', 'activity', 'نشاطات', 'أنشطة', 'انشطة'],
+    source: 'upcomingActivities',
+    limit: 3,
+    title: { ar: '\u200F🎯 *النشاطات القادمة*', en: '🎯 *Upcoming activities*' },
+    reply: '{title}\n\n{items}',
+    emptyReply: { ar: '\u200Fلا توجد نشاطات قادمة حالياً.', en: 'There are no upcoming activities right now.' },
+    enabled: true
+  },
+  {
+    name: 'Live news',
+    keywords: ['live', 'مباشر'],
+    source: 'liveNews',
+    limit: 1,
+    title: '',
+    reply: '{items}',
+    emptyReply: { ar: '\u200Fلا توجد تغطية مباشرة حالياً.', en: 'Nothing is live right now.' },
+    enabled: true
+  }
+];
+
+// Sent when a rule has no empty reply of its own
+const EMPTY_REPLY = { ar: '\u200Fلا يوجد ما نشاركه حالياً.', en: 'Nothing to share right now.' };
+
+// Characters that may surround a keyword (a message like "news?" or "أخبار؟" still matches)
+const KEYWORD_SEPARATORS = /[\s,.!?;:،؛؟"'()]+/;
+
+// Per-sender limits so the bot cannot be used to flood the number
+const SENDER_LIMITS = {
+  minIntervalMs: Number(process.env.AUTO_REPLY_MIN_INTERVAL_MS) || 30 * 1000,
+  perHour: Number(process.env.AUTO_REPLY_PER_SENDER_PER_HOUR) || 5
+};
+
+const RULES_CACHE_MS = 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+class AutoReplyService {
+  constructor(whatsappService) {
+    this.whatsappService = whatsappService;
+    this.contentSharingService = whatsappService.contentSharingService;
+    this.collectionName = 'whatsapp_auto_replies';
+    this.settingsCollectionName = 'whatsapp_settings'; // its 'autoReplies' document remembers the defaults were saved
+    this.defaultsSeeded = false;
+    this.rulesCache = null;
+    this.rulesLoadedAt = 0;
+    this.senderReplies = new Map(); // sender -> reply timestamps within the last hour
+  }
+
+  getCollection() {
+    return this.whatsappService.getDatabase().collection(this.collectionName);
+  }
+
+  // 🤖 ANSWER AN INCOMING MESSAGE THAT MATCHES A KEYWORD RULE
+  async handleIncoming(msg, incoming = {}) {
+    try {
+      // Direct chats only, the bot never answers in groups
+      if (msg.fromMe || !msg.from.endsWith('@c.us') || !msg.body) {
+        return null;
+      }
+
+      const rules = await this.getActiveRules();
+      const rule = this.findRule(rules, msg.body);
+      if (!rule) {
+        return null;
+      }
+
+      if (!this.allowSender(msg.from)) {
+        console.log(`🤖 Auto-reply limit reached for ${msg.from}, ignoring "${msg.body}"`);
+        return null;
+      }
+
+      const text = await this.buildReply(rule, incoming.contact);
+      const sentMessage = await this.whatsappService.deliver(msg.from, text, {}, {
+        contactId: incoming.contact?.id || null
+      });
+      await this.whatsappService.inbox.recordOutgoing(msg.from, sentMessage, text);
+
+      console.log(`🤖 Auto-replied "${rule.name}" to ${msg.from}`);
+      return { rule: rule.name, messageId: sentMessage.id._serialized };
+    } catch (error) {
+      console.error('❌ Error sending auto-reply:', error);
+      return null;
+    }
+  }
+
+  // 📝 BUILD THE REPLY TEXT FOR A RULE
+  async buildReply(rule, contact = null) {
+    if (rule.source === 'text') {
+      return this.whatsappService.templates.render(rule.reply, { name: contact?.name || '' });
+    }
+
+    const languages = this.getLanguages(contact?.language);
+
+    const items = await this.getItems(rule.source, rule.limit || 3);
+    if (items.length === 0) {
+      return this.localize(rule.emptyReply, languages) || this.localize(EMPTY_REPLY, languages);
+    }
+
+    await this.contentSharingService.formats.load();
+    const formatted = items
+      .map(item => this.contentSharingService.formatContentForWhatsApp(item, 'text', {
+        language: contact?.language
+      }).message.trim())
+      .join('\n\n───────────\n\n');
+
+    return this.whatsappService.templates.render(rule.reply || '{title}\n\n{items}', {
+      title: this.localize(rule.title, languages),
+      items: formatted,
+      count: items.length,
+      name: contact?.name || ''
+    }).trim();
+  }
+
+  // 🌐 REPLY LANGUAGES FOR A PREFERENCE ('both' is Arabic, then English)
+  getLanguages(language) {
+    if (language === 'both') {
+      return ['ar', 'en'];
+    }
+    return [LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE];
+  }
+
+  // 🔧 UTILITY: Plain text as is, { ar, en } text in each language (one line per language)
+  localize(text, languages) {
+    if (!text || typeof text === 'string') {
+      return text || '';
+    }
+    return languages.map(lang => text[lang] || text.ar || text.en || '').filter(Boolean).join('\n');
+  }
+
+  async getItems(source, limit) {
+    switch (source) {
+      case 'latestNews':
+        return await this.contentSharingService.getLatestNews(limit);
+      case 'upcomingActivities':
+        return await this.contentSharingService.getUpcomingActivities(limit);
+      case 'liveNews':
+        return (await this.contentSharingService.getCurrentLiveNews()).slice(0, limit);
+      default:
+        return [];
+    }
+  }
+
+  // 📋 LIST RULES
+  async getRules() {
+    try {
+      await this.seedDefaultRules();
+      const snapshot = await this.getCollection().get();
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      console.error('❌ Error getting auto-reply rules:', error);
+      throw error;
+    }
+  }
+
+  // ➕ CREATE RULE
+  async createRule(data) {
+    try {
+      const rule = {
+        ...this.validateRule(data),
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      const docRef = await this.getCollection().add(rule);
+      this.rulesCache = null;
+      console.log(`✅ Auto-reply rule created: ${rule.name}`);
+
+      return { success: true, id: docRef.id, ...rule };
+    } catch (error) {
+      console.error('❌ Error creating auto-reply rule:', error);
+      throw error;
+    }
+  }
+
+  // ✏️ UPDATE RULE
+  async updateRule(ruleId, data) {
+    try {
+      const docRef = this.getCollection().doc(ruleId);
+      const doc = await docRef.get();
+      if (!doc.exists) {
+        throw new Error('Auto-reply rule not found');
+      }
+
+      const rule = this.validateRule({ ...doc.data(), ...data });
+      await docRef.update({ ...rule, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      this.rulesCache = null;
+      console.log(`✏️ Auto-reply rule updated: ${ruleId}`);
+
+      return { success: true, id: ruleId };
+    } catch (error) {
+      console.error('❌ Error updating auto-reply rule:', error);
+      throw error;
+    }
+  }
+
+  // 🗑️ DELETE RULE
+  async deleteRule(ruleId) {
+    try {
+      await this.getCollection().doc(ruleId).delete();
+      this.rulesCache = null;
+      console.log(`✅ Auto-reply rule deleted: ${ruleId}`);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error deleting auto-reply rule:', error);
+      throw error;
+    }
+  }
+
+  // 🌱 SAVE THE DEFAULT RULES ONCE
+  // A marker document records it, so an admin who deletes every rule doesn't get the defaults back
+  // (a collection that already has rules is only marked)
+  async seedDefaultRules() {
+    if (this.defaultsSeeded) {
+      return;
+    }
+
+    const db = this.whatsappService.getDatabase();
+    const markerRef = db.collection(this.settingsCollectionName).doc('autoReplies');
+    const seeded = await db.runTransaction(async transaction => {
+      const marker = await transaction.get(markerRef);
+      if (marker.exists && marker.data().defaultsSeeded) {
+        return false;
+      }
+
+      const existing = await transaction.get(this.getCollection().limit(1));
+      if (existing.empty) {
+        DEFAULT_RULES.forEach(rule => {
+          transaction.set(this.getCollection().doc(), {
+            ...rule,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        });
+      }
+      transaction.set(markerRef, {
+        defaultsSeeded: true,
+        seededAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+      return existing.empty;
+    });
+
+    this.defaultsSeeded = true;
+    if (seeded) {
+      console.log(`🤖 Saved ${DEFAULT_RULES.length} default auto-reply rules`);
+    }
+  }
+
+  // 🔧 UTILITY: Enabled rules, cached briefly so every message doesn't read Firestore
+  async getActiveRules() {
+    if (!this.rulesCache || Date.now() - this.rulesLoadedAt > RULES_CACHE_MS) {
+      this.rulesCache = (await this.getRules()).filter(rule => rule.enabled !== false);
+      this.rulesLoadedAt = Date.now();
+    }
+    return this.rulesCache;
+  }
+
+  // 🔧 UTILITY: First rule with a keyword that is the whole message or leads it ("news", "news please"),
+  // so a keyword in the middle of an ordinary sentence ("are you live?") doesn't trigger a reply
+  findRule(rules, body) {
+    const text = this.normalize(body);
+
+    return rules.find(rule => (rule.keywords || []).some(keyword => {
+      const normalized = this.normalize(keyword);
+      return normalized && (text === normalized || text.startsWith(`${normalized} `));
+    })) || null;
+  }
+
+  // Lower case, with punctuation and extra spaces collapsed to single spaces
+  normalize(text) {
+    return String(text).toLowerCase().split(KEYWORD_SEPARATORS).filter(Boolean).join(' ');
+  }
+
+  // 🔧 UTILITY: Per-sender minimum interval and hourly cap
+  allowSender(sender) {
+    const now = Date.now();
+    const recent = (this.senderReplies.get(sender) || []).filter(time => time > now - HOUR);
+
+    const last = recent[recent.length - 1] || 0;
+    if (now - last < SENDER_LIMITS.minIntervalMs || recent.length >= SENDER_LIMITS.perHour) {
+      this.senderReplies.set(sender, recent);
+      return false;
+    }
+
+    recent.push(now);
+    this.senderReplies.set(sender, recent);
+    return true;
+  }
+
+  validateRule({ name, keywords, source, limit, title, reply, emptyReply, enabled }) {
+    if (!name) {
+      throw new Error('Rule name is required');
+    }
+    if (!Array.isArray(keywords) || keywords.filter(Boolean).length === 0) {
+      throw new Error('At least one keyword is required');
+    }
+    if (!REPLY_SOURCES.includes(source)) {
+      throw new Error(`Rule source must be one of: ${REPLY_SOURCES.join(', ')}`);
+    }
+    if (source === 'text' && !reply) {
+      throw new Error('Text rules need a reply');
+    }
+    if (typeof reply !== 'undefined' && typeof reply !== 'string') {
+      throw new Error('Rule reply must be text');
+    }
+
+    return {
+      name: name.trim(),
+      keywords: keywords.filter(Boolean).map(keyword => String(keyword).trim()),
+      source,
+      limit: Math.max(1, parseInt(limit, 10) || 3),
+      title: this.toLocalizedText(title),
+      reply: reply || '{title}\n\n{items}',
+      emptyReply: this.toLocalizedText(emptyReply),
+      enabled: enabled !== false
+    };
+  }
+
+  // 🔧 UTILITY: Plain text, or { ar, en } with only the languages that are set
+  toLocalizedText(text) {
+    if (!text || typeof text === 'string') {
+      return text || '';
+    }
+    const localized = Object.fromEntries(['ar', 'en'].filter(lang => text[lang]).map(lang => [lang, String(text[lang])]));
+    return Object.keys(localized).length > 0 ? localized : '';
+  }
+}
+
+module.exports = AutoReplyService;
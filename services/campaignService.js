@@ -0,0 +1,207 @@
+const admin = require('firebase-admin');
+
+class CampaignService {
+  constructor(whatsappService) {
+    this.whatsappService = whatsappService;
+    this.collectionName = 'whatsapp_campaigns';
+  }
+
+  getCollection() {
+    return this.whatsappService.getDatabase().collection(this.collectionName);
+  }
+
+  // 📎 MEDIA URLS UNFINISHED CAMPAIGNS STILL SEND (a paused campaign may be resumed)
+  async getMediaInUse() {
+    const snapshot = await this.getCollection()
+      .where('status', 'in', ['pending', 'processing', 'paused'])
+      .get();
+
+    return new Set(snapshot.docs
+      .map(doc => doc.data().media?.url)
+      .filter(Boolean));
+  }
+
+  // 📋 LIST CAMPAIGNS
+  async getCampaigns({ status, limit = 50 } = {}) {
+    try {
+      let query = this.getCollection();
+      if (status) {
+        query = query.where('status', '==', status);
+      }
+
+      const snapshot = await query.get();
+      const campaigns = snapshot.docs.map(doc => this.toSummary(doc));
+
+      campaigns.sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+      return campaigns.slice(0, limit);
+    } catch (error) {
+      console.error('❌ Error getting campaigns:', error);
+      throw error;
+    }
+  }
+
+  // 🔎 GET CAMPAIGN WITH PER-RECIPIENT RESULTS
+  async getCampaign(campaignId) {
+    try {
+      const doc = await this.getCollection().doc(campaignId).get();
+      if (!doc.exists) {
+        throw new Error('Campaign not found');
+      }
+
+      const recipientsSnapshot = await doc.ref.collection('recipients').get();
+      const recipients = recipientsSnapshot.docs
+        .map(recipientDoc => recipientDoc.data())
+        .sort((a, b) => a.step - b.step);
+
+      return { ...this.toSummary(doc), recipients };
+    } catch (error) {
+      console.error('❌ Error getting campaign:', error);
+      throw error;
+    }
+  }
+
+  // ⏸️ PAUSE CAMPAIGN (worker stops before the next recipient)
+  async pauseCampaign(campaignId) {
+    return this.changeStatus(campaignId, ['pending', 'processing'], 'paused');
+  }
+
+  // ▶️ RESUME PAUSED CAMPAIGN FROM WHERE IT STOPPED
+  async resumeCampaign(campaignId) {
+    const result = await this.changeStatus(campaignId, ['paused'], 'pending');
+    this.whatsappService.queue.process();
+    return result;
+  }
+
+  // 🛑 CANCEL CAMPAIGN (remaining recipients are skipped)
+  async cancelCampaign(campaignId) {
+    const result = await this.changeStatus(campaignId, ['pending', 'processing', 'paused'], 'cancelled');
+    await this.emitFinished(campaignId);
+    return result;
+  }
+
+  // 🔧 UTILITY: Move campaign between statuses
+  async changeStatus(campaignId, allowedFrom, status) {
+    try {
+      const docRef = this.getCollection().doc(campaignId);
+      const doc = await docRef.get();
+      if (!doc.exists) {
+        throw new Error('Campaign not found');
+      }
+
+      const current = doc.data().status;
+      if (!allowedFrom.includes(current)) {
+        throw new Error(`Cannot change campaign from "${current}" to "${status}"`);
+      }
+
+      await docRef.update({
+        status,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      console.log(`📝 Campaign ${campaignId}: ${current} → ${status}`);
+      this.emitProgress(campaignId, { ...doc.data(), status });
+      return { success: true, id: campaignId, status };
+    } catch (error) {
+      console.error('❌ Error changing campaign status:', error);
+      throw error;
+    }
+  }
+
+  // 🔎 CURRENT STATUS (checked by the worker between recipients)
+  async getStatus(campaignId) {
+    const doc = await this.getCollection().doc(campaignId).get();
+    return doc.exists ? doc.data().status : null;
+  }
+
+  // 💾 RECORD ONE RECIPIENT RESULT AND ADVANCE THE CURSOR
+  // Group members that could not be reached count as failures on top of the step's own status
+  async recordResult(campaign, step, outcome) {
+    const docRef = this.getCollection().doc(campaign.id);
+    const batch = this.whatsappService.getDatabase().batch();
+
+    const increments = { [outcome.status]: 1 };
+    const failedMembers = outcome.details.failedMembers?.length || 0;
+    if (failedMembers > 0) {
+      increments.failed = (increments.failed || 0) + failedMembers;
+    }
+
+    batch.set(docRef.collection('recipients').doc(String(step)), {
+      step,
+      status: outcome.status,
+      ...outcome.details,
+      processedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    batch.update(docRef, {
+      cursor: step + 1,
+      ...Object.fromEntries(Object.entries(increments).map(([status, count]) =>
+        [`counts.${status}`, admin.firestore.FieldValue.increment(count)])),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    await batch.commit();
+
+    campaign.cursor = step + 1;
+    campaign.counts = { ...campaign.counts };
+    Object.entries(increments).forEach(([status, count]) => {
+      campaign.counts[status] = (campaign.counts[status] || 0) + count;
+    });
+    this.emitProgress(campaign.id, campaign);
+  }
+
+  // 🏁 MARK CAMPAIGN FINISHED
+  async finishCampaign(campaignId, status, error = null) {
+    const updateData = {
+      status,
+      completedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    if (error) {
+      updateData.error = error;
+    }
+
+    await this.getCollection().doc(campaignId).update(updateData);
+    await this.emitFinished(campaignId);
+  }
+
+  // 📡 LIVE PROGRESS FOR THE ADMIN PANEL
+  emitProgress(campaignId, campaign) {
+    this.whatsappService.io.emit('campaign-progress', {
+      campaignId,
+      status: campaign.status,
+      processed: campaign.cursor || 0,
+      total: campaign.total,
+      counts: campaign.counts || {}
+    });
+  }
+
+  async emitFinished(campaignId) {
+    try {
+      const doc = await this.getCollection().doc(campaignId).get();
+      const campaign = doc.data();
+      this.whatsappService.io.emit('campaign-finished', {
+        campaignId,
+        status: campaign.status,
+        processed: campaign.cursor || 0,
+        total: campaign.total,
+        counts: campaign.counts || {},
+        error: campaign.error || null
+      });
+    } catch (error) {
+      console.error('❌ Error emitting campaign-finished:', error);
+    }
+  }
+
+  // 🔧 UTILITY: Campaign document without its recipient list
+  toSummary(doc) {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      ...data,
+      processed: data.cursor || 0,
+      progress: data.total ? Math.round(((data.cursor || 0) / data.total) * 100) : 0
+    };
+  }
+}
+
+module.exports = CampaignService;
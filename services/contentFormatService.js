@@ -0,0 +1,289 @@
+const admin = require('firebase-admin');
+const { toText, truncate, truncateWords } = require('./textUtils');
+
+// {field}, {field|helper}, {field|helper:arg}
+const PLACEHOLDER_PATTERN = /\{(\w+)((?:\|\w+(?::\d+)?)*)\}/g;
+
+// {#if field}...{else}...{/if} or {#if !field}...{/if}; matches only blocks with no {#if inside,
+// so nested blocks resolve innermost first
+const CONDITIONAL_PATTERN = /\{#if (!?)(\w+)\}((?:(?!\{#if )[\s\S])*?)\{\/if\}/g;
+const ELSE_TAG = '{else}';
+
+// Helpers that can follow a placeholder, e.g. {story|truncate:200} or {date|date}
+const FORMAT_HELPERS = {
+  truncate: (value, length) => truncate(value, length),
+  words: (value, count) => truncateWords(value, count),
+  date: (value, arg, locale) => (value instanceof Date ? value.toLocaleDateString(locale) : value),
+  datetime: (value, arg, locale) => (value instanceof Date ? value.toLocaleString(locale) : value)
+};
+
+// Built-in layouts, used until an editor saves their own
+// Besides the item's fields, {name}, {title}, {description}, {story} and {jihadistName} are in the
+// message's language, and {coordinates} is empty when a location pin was sent instead
+const DEFAULT_FORMATS = {
+  legend: {
+    en: '🏛️ *Legend: {name}*\n\n' +
+      '📖 {description}',
+    ar: '🏛️ *أسطورة: {name}*\n\n' +
+      '📖 {description}'
+  },
+  martyr: {
+    en: '🌹 *Martyr: {name}*\n\n' +
+      '{#if jihadistName}⚔️ Jihadist Name: {jihadistName}\n{/if}' +
+      '{#if familyStatus}👨‍👩‍👧‍👦 Family Status: {familyStatus}\n{/if}' +
+      '{#if numberOfChildren}👶 Children: {numberOfChildren}\n{/if}' +
+      '{#if dateOfShahada}📅 Date of Shahada: {dateOfShahada|date}\n{/if}' +
+      '{#if story}📖 {story|truncate:200}{/if}',
+    ar: '🌹 *الشهيد: {name}*\n\n' +
+      '{#if jihadistName}⚔️ الاسم الجهادي: {jihadistName}\n{/if}' +
+      '{#if familyStatus}👨‍👩‍👧‍👦 الوضع العائلي: {familyStatus}\n{/if}' +
+      '{#if numberOfChildren}👶 عدد الأولاد: {numberOfChildren}\n{/if}' +
+      '{#if dateOfShahada}📅 تاريخ الاستشهاد: {dateOfShahada|date}\n{/if}' +
+      '{#if story}📖 {story|truncate:200}{/if}'
+  },
+  location: {
+    en: '📍 *Location: {name}*\n\n' +
+      '📖 {description}' +
+      '{#if coordinates}\n🌍 Coordinates: {coordinates}{/if}',
+    ar: '📍 *موقع: {name}*\n\n' +
+      '📖 {description}' +
+      '{#if coordinates}\n🌍 الإحداثيات: {coordinates}{/if}'
+  },
+  activity: {
+    en: '🎯 *Activity: {name}*\n\n' +
+      '📖 {description}\n' +
+      '📅 Date: {date|date}\n' +
+      '{#if time}⏰ Time: {time}\n{/if}' +
+      '{#if durationHours}⏳ Duration: {durationHours}h{/if}',
+    ar: '🎯 *نشاط: {name}*\n\n' +
+      '📖 {description}\n' +
+      '📅 التاريخ: {date|date}\n' +
+      '{#if time}⏰ الوقت: {time}\n{/if}' +
+      '{#if durationHours}⏳ المدة: {durationHours} ساعة{/if}'
+  },
+  news: {
+    en: '📰 *News: {title}*\n\n' +
+      '📖 {description}' +
+      '{#if publishDate}\n📅 Published: {publishDate|date}{/if}',
+    ar: '📰 *خبر: {title}*\n\n' +
+      '📖 {description}' +
+      '{#if publishDate}\n📅 تاريخ النشر: {publishDate|date}{/if}'
+  },
+  liveNews: {
+    en: '🔴 *LIVE NEWS: {title}*\n\n' +
+      '📖 {description}\n' +
+      '⏰ Started: {liveStartTime|datetime}' +
+      '{#if liveDurationHours}\n⏳ Duration: {liveDurationHours}h{/if}',
+    ar: '🔴 *خبر مباشر: {title}*\n\n' +
+      '📖 {description}\n' +
+      '⏰ البداية: {liveStartTime|datetime}' +
+      '{#if liveDurationHours}\n⏳ المدة: {liveDurationHours} ساعة{/if}'
+  }
+};
+
+const FORMAT_LANGUAGES = ['ar', 'en'];
+const FORMATS_CACHE_MS = 60 * 1000;
+
+class ContentFormatService {
+  constructor(contentSharingService) {
+    this.contentSharingService = contentSharingService;
+    this.collectionName = 'whatsapp_content_formats';
+    this.formatsCache = null; // type -> { ar, en } saved by editors
+    this.formatsLoadedAt = 0;
+  }
+
+  getCollection() {
+    return this.contentSharingService.getDatabase().collection(this.collectionName);
+  }
+
+  // 📋 LIST FORMATS FOR EVERY CONTENT TYPE (saved or built-in)
+  async getFormats() {
+    try {
+      await this.load(true);
+      return Object.keys(DEFAULT_FORMATS).map(type => this.describe(type));
+    } catch (error) {
+      console.error('❌ Error getting content formats:', error);
+      throw error;
+    }
+  }
+
+  // 🔎 GET FORMAT FOR ONE CONTENT TYPE
+  async getFormat(type) {
+    try {
+      this.checkType(type);
+      await this.load(true);
+      return this.describe(type);
+    } catch (error) {
+      console.error('❌ Error getting content format:', error);
+      throw error;
+    }
+  }
+
+  // ✏️ SAVE FORMAT FOR A CONTENT TYPE (a language left out keeps its current layout)
+  async saveFormat(type, { ar, en }) {
+    try {
+      this.checkType(type);
+
+      const invalid = this.getFormatsError({ ar, en });
+      if (invalid) {
+        throw new Error(invalid);
+      }
+
+      const update = Object.fromEntries(Object.entries({ ar, en }).filter(([lang, body]) => body !== undefined));
+      if (Object.keys(update).length === 0) {
+        throw new Error('Nothing to save: provide an "ar" and/or "en" format');
+      }
+
+      await this.getCollection().doc(type).set({
+        type,
+        ...update,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+      this.formatsCache = null;
+      console.log(`✏️ Content format updated: ${type} (${Object.keys(update).join(', ')})`);
+
+      await this.load(true);
+      return { success: true, ...this.describe(type) };
+    } catch (error) {
+      console.error('❌ Error saving content format:', error);
+      throw error;
+    }
+  }
+
+  // ↩️ RESET A CONTENT TYPE TO THE BUILT-IN FORMAT
+  async resetFormat(type) {
+    try {
+      this.checkType(type);
+      await this.getCollection().doc(type).delete();
+      this.formatsCache = null;
+      console.log(`↩️ Content format reset: ${type}`);
+      return { success: true, type };
+    } catch (error) {
+      console.error('❌ Error resetting content format:', error);
+      throw error;
+    }
+  }
+
+  // 🔄 LOAD SAVED FORMATS (cached briefly; `force` reads Firestore again)
+  // Formatting is synchronous, so anything that formats content loads formats first
+  async load(force = false) {
+    if (!force && this.formatsCache && Date.now() - this.formatsLoadedAt < FORMATS_CACHE_MS) {
+      return;
+    }
+
+    try {
+      const snapshot = await this.getCollection().get();
+      this.formatsCache = new Map(snapshot.docs.map(doc => [doc.id, doc.data()]));
+      this.formatsLoadedAt = Date.now();
+    } catch (error) {
+      // Keep sharing with the last known (or built-in) formats
+      console.error('❌ Error loading content formats:', error);
+      if (force) throw error;
+    }
+  }
+
+  // 🔧 UTILITY: Layout for a type and language (null for unknown types)
+  getBody(type, lang) {
+    const saved = this.formatsCache?.get(type)?.[lang];
+    return saved || DEFAULT_FORMATS[type]?.[lang] || null;
+  }
+
+  // 🧩 RENDER A FORMAT BODY; missing fields render empty
+  render(body, values, locale) {
+    return this.resolveConditionals(body, values)
+      .replace(PLACEHOLDER_PATTERN, (match, key, helpers) => this.formatValue(values[key], helpers, locale));
+  }
+
+  resolveConditionals(body, values) {
+    let text = body;
+    let previous;
+    do {
+      previous = text;
+      text = text.replace(CONDITIONAL_PATTERN, (match, negate, key, content) => {
+        const [whenSet, whenEmpty = ''] = content.split(ELSE_TAG);
+        return this.isSet(values[key]) !== Boolean(negate) ? whenSet : whenEmpty;
+      });
+    } while (text !== previous);
+    return text;
+  }
+
+  // 🔍 WHAT IS WRONG WITH A FORMAT BODY (null when it is fine)
+  getFormatError(body) {
+    if (typeof body !== 'string' || !body.trim()) {
+      return 'Format must be non-empty text';
+    }
+
+    for (const match of body.matchAll(PLACEHOLDER_PATTERN)) {
+      for (const helper of match[2].split('|').filter(Boolean)) {
+        const [name, arg] = helper.split(':');
+        if (!FORMAT_HELPERS[name]) {
+          return `Unknown helper "${name}" in ${match[0]} (use ${Object.keys(FORMAT_HELPERS).join(', ')})`;
+        }
+        if (['truncate', 'words'].includes(name) && !(Number(arg) > 0)) {
+          return `${match[0]}: ${name} needs a length, e.g. {${match[1]}|${name}:100}`;
+        }
+      }
+    }
+
+    // Anything left after resolving every block was not closed or opened properly
+    const resolved = this.resolveConditionals(body, {});
+    const stray = ['{#if', '{/if}', ELSE_TAG].find(tag => resolved.includes(tag));
+    if (stray) {
+      return `Unbalanced ${stray}: every {#if field} needs a matching {/if}`;
+    }
+
+    return null;
+  }
+
+  // 🔍 FIRST PROBLEM WITH THE GIVEN { ar, en } FORMAT BODIES (null when all are fine)
+  getFormatsError(bodies) {
+    for (const [lang, body] of Object.entries(bodies)) {
+      const invalid = body === undefined ? null : this.getFormatError(body);
+      if (invalid) {
+        return `${lang} format: ${invalid}`;
+      }
+    }
+    return null;
+  }
+
+  // 🔧 UTILITY: Saved and built-in layouts for a type, as shown to editors
+  describe(type) {
+    const saved = this.formatsCache?.get(type) || {};
+    return {
+      type,
+      ...Object.fromEntries(FORMAT_LANGUAGES.map(lang => [lang, this.getBody(type, lang)])),
+      customized: Object.fromEntries(FORMAT_LANGUAGES.map(lang => [lang, Boolean(saved[lang])])),
+      defaults: DEFAULT_FORMATS[type],
+      updatedAt: saved.updatedAt?.toDate?.() || null
+    };
+  }
+
+  formatValue(value, helpers, locale) {
+    let result = this.isSet(value) ? value : '';
+    helpers.split('|').filter(Boolean).forEach(helper => {
+      const [name, arg] = helper.split(':');
+      result = FORMAT_HELPERS[name] ? FORMAT_HELPERS[name](result, Number(arg), locale) : result;
+    });
+
+    if (result instanceof Date) {
+      result = result.toLocaleDateString(locale);
+    }
+    return toText(result);
+  }
+
+  // 🔧 UTILITY: Whether a value counts as present for {#if} (0, empty text and invalid dates don't)
+  isSet(value) {
+    if (value instanceof Date) return !Number.isNaN(value.getTime());
+    if (Array.isArray(value)) return value.length > 0;
+    return value !== undefined && value !== null && value !== '' && value !== false && value !== 0;
+  }
+
+  checkType(type) {
+    if (!DEFAULT_FORMATS[type]) {
+      throw new Error(`Unknown content type: ${type}`);
+    }
+  }
+}
+
+module.exports = ContentFormatService;
+module.exports.FORMAT_TYPES = Object.keys(DEFAULT_FORMATS);
@@ -1,9 +1,78 @@
 const { getDb } = require('../config/firebase');
 const admin = require('firebase-admin');
+const { Location } = require('whatsapp-web.js');
+const ContentFormatService = require('./contentFormatService');
+const { toText, truncate, normalizeSearchText } = require('./textUtils');
+
+// Firestore collection holding each shareable content type
+const CONTENT_COLLECTIONS = {
+  legend: 'legends',
+  martyr: 'martyrs',
+  location: 'locations',
+  activity: 'activities',
+  news: 'news',
+  liveNews: 'news'
+};
+
+const CONTENT_TYPES = Object.keys(CONTENT_COLLECTIONS);
+
+// How a share presents media: links in the text, main image with the text as caption, or every photo/video attached
+const MEDIA_MODES = ['text', 'image', 'full'];
+
+// Languages a contact or group can receive content in ('both' sends Arabic, then English)
+const LANGUAGES = ['ar', 'en', 'both'];
+const DEFAULT_LANGUAGE = LANGUAGES.includes(process.env.DEFAULT_CONTENT_LANGUAGE) ? process.env.DEFAULT_CONTENT_LANGUAGE : 'ar';
+
+// Fields stored as <field>Ar / <field>En on content items
+const TRANSLATED_FIELDS = ['name', 'title', 'description', 'story', 'jihadistName'];
+
+// Date locale and the labels the formatter adds around the content format (see ContentFormatService)
+const LABELS = {
+  en: {
+    locale: 'en-US',
+    rtl: false,
+    content: 'Content',
+    mainIcon: 'MAIN ICON',
+    mainImage: 'MAIN IMAGE',
+    images: 'IMAGES',
+    photos360: '360° IMAGES',
+    videos: 'VIDEOS'
+  },
+  ar: {
+    locale: 'ar-LB',
+    rtl: true,
+    content: 'محتوى',
+    mainIcon: 'الأيقونة',
+    mainImage: 'الصورة الرئيسية',
+    images: 'الصور',
+    photos360: 'صور 360°',
+    videos: 'الفيديوهات'
+  }
+};
+
+// Right-to-left mark, put in front of Arabic lines
+const RLM = '\u200F';
+
+// Content listing page sizes, and how many documents a text search reads per type before
+// returning what it has found so far (the next page carries on from there)
+const LIST_LIMITS = {
+  defaultPageSize: 20,
+  maxPageSize: 100,
+  maxScannedPerType: 500
+};
+
+// Timestamp fields converted to Date when content is loaded
+const CONTENT_DATE_FIELDS = {
+  martyr: ['dob', 'dateOfShahada'],
+  activity: ['date'],
+  news: ['publishDate'],
+  liveNews: ['liveStartTime']
+};
 
 class ContentSharingService {
   constructor() {
     this.db = null;
+    this.formats = new ContentFormatService(this);
   }
 
   getDatabase() {
@@ -29,66 +98,31 @@ class ContentSharingService {
 
       // Get Legends
       const legendsSnapshot = await db.collection('legends').orderBy('createdAt', 'desc').get();
-      content.legends = legendsSnapshot.docs.map(doc => ({
-        id: doc.id,
-        type: 'legend',
-        ...doc.data(),
-        createdAt: doc.data().createdAt?.toDate?.() || new Date(doc.data().createdAt)
-      }));
+      content.legends = legendsSnapshot.docs.map(doc => this.normalizeContent(doc, 'legend'));
 
       // Get Martyrs
       const martyrsSnapshot = await db.collection('martyrs').orderBy('createdAt', 'desc').get();
-      content.martyrs = martyrsSnapshot.docs.map(doc => ({
-        id: doc.id,
-        type: 'martyr',
-        ...doc.data(),
-        createdAt: doc.data().createdAt?.toDate?.() || new Date(doc.data().createdAt),
-        dob: doc.data().dob?.toDate?.() || new Date(doc.data().dob),
-        dateOfShahada: doc.data().dateOfShahada?.toDate?.() || new Date(doc.data().dateOfShahada)
-      }));
+      content.martyrs = martyrsSnapshot.docs.map(doc => this.normalizeContent(doc, 'martyr'));
 
       // Get Locations
       const locationsSnapshot = await db.collection('locations').orderBy('createdAt', 'desc').get();
-      content.locations = locationsSnapshot.docs.map(doc => ({
-        id: doc.id,
-        type: 'location',
-        ...doc.data(),
-        createdAt: doc.data().createdAt?.toDate?.() || new Date(doc.data().createdAt)
-      }));
+      content.locations = locationsSnapshot.docs.map(doc => this.normalizeContent(doc, 'location'));
 
       // Get Activities
       const activitiesSnapshot = await db.collection('activities').orderBy('createdAt', 'desc').get();
-      content.activities = activitiesSnapshot.docs.map(doc => ({
-        id: doc.id,
-        type: 'activity',
-        ...doc.data(),
-        createdAt: doc.data().createdAt?.toDate?.() || new Date(doc.data().createdAt),
-        date: doc.data().date?.toDate?.() || new Date(doc.data().date)
-      }));
+      content.activities = activitiesSnapshot.docs.map(doc => this.normalizeContent(doc, 'activity'));
 
       // Get Regular News
       const newsSnapshot = await db.collection('news')
         .where('type', 'in', ['regular', 'regularLive'])
         .orderBy('createdAt', 'desc').get();
-      content.news = newsSnapshot.docs.map(doc => ({
-        id: doc.id,
-        type: 'news',
-        ...doc.data(),
-        createdAt: doc.data().createdAt?.toDate?.() || new Date(doc.data().createdAt),
-        publishDate: doc.data().publishDate?.toDate?.() || new Date(doc.data().publishDate)
-      }));
+      content.news = newsSnapshot.docs.map(doc => this.normalizeContent(doc, 'news'));
 
       // Get Live News
       const liveNewsSnapshot = await db.collection('news')
         .where('type', '==', 'live')
         .orderBy('createdAt', 'desc').get();
-      content.liveNews = liveNewsSnapshot.docs.map(doc => ({
-        id: doc.id,
-        type: 'liveNews',
-        ...doc.data(),
-        createdAt: doc.data().createdAt?.toDate?.() || new Date(doc.data().createdAt),
-        liveStartTime: doc.data().liveStartTime?.toDate?.() || new Date(doc.data().liveStartTime)
-      }));
+      content.liveNews = liveNewsSnapshot.docs.map(doc => this.normalizeContent(doc, 'liveNews'));
 
       return content;
     } catch (error) {
@@ -97,7 +131,276 @@ class ContentSharingService {
     }
   }
 
+  // 🔎 LIST CONTENT WITH FILTERS, NEWEST FIRST, ONE PAGE AT A TIME
+  // `from` / `to` bound when items were added, `search` must match every word somewhere in the Ar/En text,
+  // and `cursor` is the previous page's `nextCursor` (null when there are no more pages)
+  async queryContent({ types = CONTENT_TYPES, from = null, to = null, search = '', limit = LIST_LIMITS.defaultPageSize, cursor = null } = {}) {
+    try {
+      const pageSize = Math.min(Math.max(1, parseInt(limit, 10) || LIST_LIMITS.defaultPageSize), LIST_LIMITS.maxPageSize);
+      const position = cursor ? this.decodeCursor(cursor) : null;
+      if (cursor && !position) {
+        throw new Error('Invalid cursor');
+      }
+
+      const terms = normalizeSearchText(search).split(/\s+/).filter(Boolean);
+      const scans = await Promise.all(types.map(type => this.scanContent(type, { from, to, terms, pageSize, position })));
+
+      // A type that hit the scan limit was only read down to its frontier: older matches may be missing there,
+      // so only what is newer than every frontier can be returned in order
+      const frontier = scans
+        .filter(scan => scan.frontier)
+        .map(scan => scan.frontier)
+        .sort((a, b) => this.comparePositions(b, a))[0] || null;
+
+      const found = scans
+        .flatMap(scan => scan.found)
+        .filter(({ position: itemPosition }) => !frontier || this.comparePositions(itemPosition, frontier) >= 0)
+        .sort((a, b) => this.comparePositions(b.position, a.position));
+      const page = found.slice(0, pageSize);
+
+      let nextPosition = null;
+      if (page.length === pageSize && (found.length > pageSize || scans.some(scan => !scan.exhausted))) {
+        nextPosition = page[page.length - 1].position;
+      } else if (frontier) {
+        nextPosition = frontier;
+      }
+
+      return {
+        items: page.map(({ item }) => item),
+        nextCursor: nextPosition ? this.encodeCursor(nextPosition) : null,
+        pageSize
+      };
+    } catch (error) {
+      console.error('❌ Error querying content:', error);
+      throw error;
+    }
+  }
+
+  // 🔧 UTILITY: Read one type from a position until a page of matches, the end, or the scan limit
+  async scanContent(type, { from, to, terms, pageSize, position }) {
+    let query = this.getContentQuery(type)
+      .orderBy('createdAt', 'desc')
+      .orderBy(admin.firestore.FieldPath.documentId(), 'desc');
+    if (from) query = query.where('createdAt', '>=', from);
+    if (to) query = query.where('createdAt', '<=', to);
+    if (position) query = this.startAfterPosition(query, type, position);
+
+    const batchSize = terms.length > 0 ? Math.max(pageSize, 50) : pageSize;
+    const found = [];
+    let scanned = 0;
+    let lastDoc = null;
+
+    for (;;) {
+      const snapshot = await (lastDoc ? query.startAfter(lastDoc) : query).limit(batchSize).get();
+      snapshot.docs.forEach(doc => {
+        const item = this.normalizeContent(doc, type);
+        if (this.matchesSearch(item, terms)) {
+          found.push({ item, position: this.getPosition(doc, type) });
+        }
+      });
+      scanned += snapshot.size;
+      lastDoc = snapshot.docs[snapshot.size - 1] || lastDoc;
+
+      if (snapshot.size < batchSize) {
+        return { found, exhausted: true };
+      }
+      if (found.length >= pageSize) {
+        return { found: found.slice(0, pageSize), exhausted: false };
+      }
+      if (scanned >= LIST_LIMITS.maxScannedPerType) {
+        return { found, exhausted: false, frontier: this.getPosition(lastDoc, type) };
+      }
+    }
+  }
+
+  // 🔧 UTILITY: Query for one content type (news and live news share a collection)
+  getContentQuery(type) {
+    const collection = this.getDatabase().collection(CONTENT_COLLECTIONS[type]);
+    if (type === 'news') return collection.where('type', 'in', ['regular', 'regularLive']);
+    if (type === 'liveNews') return collection.where('type', '==', 'live');
+    return collection;
+  }
+
+  matchesSearch(item, terms) {
+    if (terms.length === 0) {
+      return true;
+    }
+    const text = normalizeSearchText(TRANSLATED_FIELDS
+      .flatMap(field => [item[`${field}Ar`], item[`${field}En`]])
+      .filter(Boolean)
+      .join(' '));
+    return terms.every(term => text.includes(term));
+  }
+
+  // 🔧 UTILITY: Where an item sits in the listing order (createdAt, newest first; then type/id)
+  // Kept at Firestore's nanosecond precision so paging never skips items added in the same millisecond
+  getPosition(doc, type) {
+    const createdAt = doc.get('createdAt');
+    const timestamp = createdAt instanceof admin.firestore.Timestamp
+      ? createdAt
+      : admin.firestore.Timestamp.fromDate(new Date(createdAt));
+    return { seconds: timestamp.seconds, nanoseconds: timestamp.nanoseconds, type, id: doc.id };
+  }
+
+  // Keys compare by code unit, like Firestore orders document IDs
+  comparePositions(a, b) {
+    const keyA = `${a.type}/${a.id}`;
+    const keyB = `${b.type}/${b.id}`;
+    return (a.seconds - b.seconds) || (a.nanoseconds - b.nanoseconds) || (keyA < keyB ? -1 : keyA > keyB ? 1 : 0);
+  }
+
+  // 🔧 UTILITY: Continue a type's query after a position, which may belong to another type
+  startAfterPosition(query, type, position) {
+    const createdAt = new admin.firestore.Timestamp(position.seconds, position.nanoseconds);
+    if (type === position.type) {
+      return query.startAfter(createdAt, position.id);
+    }
+    // Same createdAt: a type sorting after the position's type was already listed before it
+    return `${type}/` > `${position.type}/`
+      ? query.startAfter(createdAt)
+      : query.startAt(createdAt);
+  }
+
+  encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+  }
+
+  // 🔧 UTILITY: Position from a cursor string (null when it isn't one of ours)
+  decodeCursor(cursor) {
+    try {
+      const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      const valid = Number.isInteger(position.seconds) && Number.isInteger(position.nanoseconds) &&
+        CONTENT_TYPES.includes(position.type) && typeof position.id === 'string';
+      return valid ? position : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // 👀 PREVIEW HOW ONE ITEM WOULD BE SHARED
+  async previewContent(type, id, { language = DEFAULT_LANGUAGE, mediaMode = 'text' } = {}) {
+    try {
+      await this.formats.load();
+      const item = await this.getContentItem(type, id);
+      const coordinates = this.getCoordinates(item);
+      const mainImage = mediaMode === 'text' ? null : this.getMainImage(item);
+      const media = this.extractMediaFromItem(item);
+
+      return {
+        type,
+        id,
+        language,
+        mediaMode,
+        message: this.formatContentForWhatsApp(item, mediaMode, { language, showCoordinates: !coordinates }).message,
+        locationPin: coordinates,
+        mainImage: mainImage ? { url: this.isDataUri(mainImage) ? null : mainImage, embedded: this.isDataUri(mainImage) } : null,
+        attachments: mediaMode === 'full'
+          ? [...media.images.filter(image => image.url !== mainImage), ...media.photos360, ...media.videos]
+            .map(({ url, type: kind, caption }) => ({ url: this.isDataUri(url) ? null : url, embedded: this.isDataUri(url), type: kind, caption }))
+          : []
+      };
+    } catch (error) {
+      console.error('❌ Error previewing content:', error);
+      throw error;
+    }
+  }
+
+  // 🔎 GET SINGLE CONTENT ITEM BY TYPE AND ID
+  async getContentItem(type, id) {
+    try {
+      const collection = CONTENT_COLLECTIONS[type];
+      if (!collection) {
+        throw new Error(`Unknown content type: ${type}`);
+      }
+
+      const doc = await this.getDatabase().collection(collection).doc(id).get();
+      if (!doc.exists) {
+        throw new Error(`Content not found: ${type}/${id}`);
+      }
+
+      return this.normalizeContent(doc, type);
+    } catch (error) {
+      console.error('❌ Error getting content item:', error);
+      throw error;
+    }
+  }
+
+  // 📰 GET LATEST REGULAR NEWS
+  async getLatestNews(limit = 3) {
+    try {
+      const snapshot = await this.getDatabase().collection('news')
+        .where('type', 'in', ['regular', 'regularLive'])
+        .orderBy('createdAt', 'desc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => this.normalizeContent(doc, 'news'));
+    } catch (error) {
+      console.error('❌ Error getting latest news:', error);
+      throw error;
+    }
+  }
+
+  // 🎯 GET UPCOMING ACTIVITIES (soonest first, today included)
+  async getUpcomingActivities(limit = 3) {
+    try {
+      const snapshot = await this.getDatabase().collection('activities').orderBy('createdAt', 'desc').get();
+
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+
+      return snapshot.docs
+        .map(doc => this.normalizeContent(doc, 'activity'))
+        .filter(activity => activity.date >= today)
+        .sort((a, b) => a.date - b.date)
+        .slice(0, limit);
+    } catch (error) {
+      console.error('❌ Error getting upcoming activities:', error);
+      throw error;
+    }
+  }
+
+  // 🔴 GET LIVE NEWS THAT IS ON AIR RIGHT NOW
+  async getCurrentLiveNews() {
+    try {
+      const snapshot = await this.getDatabase().collection('news')
+        .where('type', '==', 'live')
+        .orderBy('createdAt', 'desc')
+        .get();
+
+      const now = Date.now();
+      return snapshot.docs
+        .map(doc => this.normalizeContent(doc, 'liveNews'))
+        .filter(item => {
+          const start = item.liveStartTime.getTime();
+          const end = item.liveDurationHours ? start + item.liveDurationHours * 60 * 60 * 1000 : Infinity;
+          return start <= now && now < end;
+        });
+    } catch (error) {
+      console.error('❌ Error getting current live news:', error);
+      throw error;
+    }
+  }
+
+  // 🔧 UTILITY: Map a Firestore content document to a shareable item
+  normalizeContent(doc, type) {
+    const data = doc.data();
+    const item = {
+      ...data,
+      id: doc.id,
+      type, // news documents carry their own `type` ('regular', 'live'), keep the content type
+      createdAt: data.createdAt?.toDate?.() || new Date(data.createdAt)
+    };
+
+    (CONTENT_DATE_FIELDS[type] || []).forEach(field => {
+      item[field] = data[field]?.toDate?.() || new Date(data[field]);
+    });
+
+    return item;
+  }
+
   // 🖼️ EXTRACT ALL MEDIA FROM ITEM
+  // URLs and base64 data URIs alike; only URLs can be listed as links (see formatContentForWhatsApp)
   extractMediaFromItem(item) {
     const media = {
       images: [],
@@ -106,7 +409,7 @@ class ContentSharingService {
     };
 
     // Check mainIcon (base64 or URL)
-    if (item.mainIcon && this.isValidUrl(item.mainIcon)) {
+    if (item.mainIcon && this.isMediaSource(item.mainIcon)) {
       media.images.push({
         url: item.mainIcon,
         type: 'mainIcon',
@@ -115,7 +418,7 @@ class ContentSharingService {
     }
 
     // Check mainImage (base64 or URL)
-    if (item.mainImage && this.isValidUrl(item.mainImage)) {
+    if (item.mainImage && this.isMediaSource(item.mainImage)) {
       media.images.push({
         url: item.mainImage,
         type: 'mainImage',
@@ -126,7 +429,7 @@ class ContentSharingService {
     // Check photos array
     if (item.photos && Array.isArray(item.photos)) {
       item.photos.forEach((photo, index) => {
-        if (photo.url && this.isValidUrl(photo.url)) {
+        if (photo.url && this.isMediaSource(photo.url)) {
           media.images.push({
             url: photo.url,
             type: 'photo',
@@ -141,7 +444,7 @@ class ContentSharingService {
     // Check videos array
     if (item.videos && Array.isArray(item.videos)) {
       item.videos.forEach((video, index) => {
-        if (video.url && this.isValidUrl(video.url)) {
+        if (video.url && this.isMediaSource(video.url)) {
           media.videos.push({
             url: video.url,
             type: 'video',
@@ -156,7 +459,7 @@ class ContentSharingService {
     // Check 360 photos array
     if (item.photos360 && Array.isArray(item.photos360)) {
       item.photos360.forEach((photo360, index) => {
-        if (photo360.url && this.isValidUrl(photo360.url)) {
+        if (photo360.url && this.isMediaSource(photo360.url)) {
           media.photos360.push({
             url: photo360.url,
             type: 'photo360',
@@ -187,78 +490,89 @@ class ContentSharingService {
     }
   }
 
-  // 📝 FORMAT CONTENT FOR WHATSAPP (FIXED - URLs ONLY)
-  formatContentForWhatsApp(item) {
-    let message = '';
-
-    switch (item.type) {
-      case 'legend':
-        message = `🏛️ *Legend: ${item.nameAr || item.nameEn}*\n\n`;
-        message += `📖 ${item.descriptionAr || item.descriptionEn}\n\n`;
-        break;
-
-      case 'martyr':
-        message = `🌹 *Martyr: ${item.nameAr || item.nameEn}*\n\n`;
-        message += `⚔️ Jihadist Name: ${item.jihadistNameAr || item.jihadistNameEn}\n`;
-        message += `👨‍👩‍👧‍👦 Family Status: ${item.familyStatus}\n`;
-        if (item.numberOfChildren) message += `👶 Children: ${item.numberOfChildren}\n`;
-        message += `📅 Date of Shahada: ${new Date(item.dateOfShahada).toLocaleDateString()}\n`;
-        message += `📖 ${(item.storyAr || item.storyEn).substring(0, 200)}...\n\n`;
-        break;
-
-      case 'location':
-        message = `📍 *Location: ${item.nameAr || item.nameEn}*\n\n`;
-        message += `📖 ${item.descriptionAr || item.descriptionEn}\n`;
-        message += `🌍 Coordinates: ${item.latitude}, ${item.longitude}\n\n`;
-        break;
-
-      case 'activity':
-        message = `🎯 *Activity: ${item.nameAr || item.nameEn}*\n\n`;
-        message += `📖 ${item.descriptionAr || item.descriptionEn}\n`;
-        message += `📅 Date: ${new Date(item.date).toLocaleDateString()}\n`;
-        message += `⏰ Time: ${item.time}\n`;
-        message += `⏳ Duration: ${item.durationHours}h\n\n`;
-        break;
-
-      case 'news':
-        message = `📰 *News: ${item.titleAr || item.titleEn}*\n\n`;
-        message += `📖 ${item.descriptionAr || item.descriptionEn}\n`;
-        if (item.publishDate) {
-          message += `📅 Published: ${new Date(item.publishDate).toLocaleDateString()}\n`;
-        }
-        message += `\n`;
-        break;
-
-      case 'liveNews':
-        message = `🔴 *LIVE NEWS: ${item.titleAr || item.titleEn}*\n\n`;
-        message += `📖 ${item.descriptionAr || item.descriptionEn}\n`;
-        message += `⏰ Started: ${new Date(item.liveStartTime).toLocaleString()}\n`;
-        if (item.liveDurationHours) {
-          message += `⏳ Duration: ${item.liveDurationHours}h\n`;
-        }
-        message += `\n`;
-        break;
+  // 🖼️ MAIN IMAGE USED AS THE SHARE PICTURE (URL or base64 data URI)
+  getMainImage(item) {
+    return [item.mainImage, item.mainIcon].find(source => source && this.isMediaSource(source)) || null;
+  }
+
+  // 🔍 CAN THIS BE SENT AS AN ATTACHMENT? (URL or base64 data URI)
+  isMediaSource(string) {
+    return this.isValidUrl(string) || this.isDataUri(string);
+  }
 
-      default:
-        message = `📄 Content: ${item.nameAr || item.nameEn || item.titleAr || item.titleEn}\n\n`;
+  // 📍 COORDINATES FOR A MAP PIN (locations, and activities that have them)
+  getCoordinates(item) {
+    const latitude = parseFloat(item.latitude);
+    const longitude = parseFloat(item.longitude);
+
+    if (Number.isNaN(latitude) || Number.isNaN(longitude) ||
+      Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return null;
     }
+    return { latitude, longitude };
+  }
 
-    // Add media URLs
-    const media = this.extractMediaFromItem(item);
-    
-    // Add main icon URL if exists
-    if (item.mainIcon && this.isValidUrl(item.mainIcon)) {
-      message += `📎 MAIN ICON:\n${item.mainIcon}\n\n`;
+  // 📍 NATIVE WHATSAPP LOCATION PIN LABELLED WITH THE ITEM'S NAME AND DESCRIPTION
+  // A pin has room for one language, so 'both' labels it in the first one
+  createLocationPin(item, { latitude, longitude }, language = DEFAULT_LANGUAGE) {
+    const [lang] = this.getContentLanguages(item, language);
+    const description = this.getLocalizedField(item, 'description', lang).trim();
+
+    return new Location(latitude, longitude, {
+      name: this.getLocalizedField(item, 'name', lang) || this.getLocalizedField(item, 'title', lang),
+      address: truncate(description, 120),
+      url: `https://www.google.com/maps/search/?api=1&query=${latitude},${longitude}`
+    });
+  }
+
+  // 🔍 CHECK IF STRING IS A BASE64 DATA URI (embedded image)
+  isDataUri(string) {
+    return typeof string === 'string' && /^data:[^,]*;base64,/.test(string);
+  }
+
+  // 📝 FORMAT CONTENT FOR WHATSAPP
+  // Media that a share attaches (see MEDIA_MODES) is left out of the text
+  // `showCoordinates: false` leaves coordinates out when a location pin was sent instead
+  // `language` is the recipient's preference (see LANGUAGES)
+  // The text comes from the type's content format (see ContentFormatService), so call `formats.load()` first
+  formatContentForWhatsApp(item, mediaMode = 'text', { showCoordinates = true, language = DEFAULT_LANGUAGE, format } = {}) {
+    const languages = this.getContentLanguages(item, language);
+    let message = languages
+      .map(lang => this.formatContentDetails(item, lang, showCoordinates, format))
+      .join('───────────\n\n');
+
+    // Everything is attached as media
+    if (mediaMode === 'full') {
+      return { message };
     }
 
-    // Add main image URL if exists
-    if (item.mainImage && this.isValidUrl(item.mainImage)) {
-      message += `🖼️ MAIN IMAGE:\n${item.mainImage}\n\n`;
+    const labels = LABELS[languages[0]];
+
+    // Add media URLs (embedded base64 media has no link to share)
+    const media = this.extractMediaFromItem(item);
+    Object.keys(media).forEach(kind => {
+      media[kind] = media[kind].filter(entry => this.isValidUrl(entry.url));
+    });
+
+    // The main image is attached, link the rest
+    if (mediaMode === 'image') {
+      const mainImage = this.getMainImage(item);
+      media.images = media.images.filter(image => image.url !== mainImage);
+    } else {
+      // Add main icon URL if exists
+      if (item.mainIcon && this.isValidUrl(item.mainIcon)) {
+        message += `📎 ${labels.mainIcon}:\n${item.mainIcon}\n\n`;
+      }
+
+      // Add main image URL if exists
+      if (item.mainImage && this.isValidUrl(item.mainImage)) {
+        message += `🖼️ ${labels.mainImage}:\n${item.mainImage}\n\n`;
+      }
     }
 
     // Add regular images URLs
     if (media.images.length > 0) {
-      message += `📷 IMAGES:\n`;
+      message += `📷 ${labels.images}:\n`;
       media.images.forEach((image, index) => {
         message += `${index + 1}. ${image.url}\n`;
       });
@@ -267,7 +581,7 @@ class ContentSharingService {
 
     // Add 360° photos URLs
     if (media.photos360.length > 0) {
-      message += `🌍 360° IMAGES:\n`;
+      message += `🌍 ${labels.photos360}:\n`;
       media.photos360.forEach((photo360, index) => {
         message += `${index + 1}. ${photo360.url}\n`;
       });
@@ -276,7 +590,7 @@ class ContentSharingService {
 
     // Add videos URLs
     if (media.videos.length > 0) {
-      message += `🎥 VIDEOS:\n`;
+      message += `🎥 ${labels.videos}:\n`;
       media.videos.forEach((video, index) => {
         message += `${index + 1}. ${video.url}\n`;
       });
@@ -286,82 +600,230 @@ class ContentSharingService {
     return { message };
   }
 
-  // 📤 SEND CONTENT TO CONTACTS/GROUPS (UPDATED - TEXT ONLY)
-  async shareContent(whatsappService, selectedContent, contactIds = [], groupIds = [], delaySeconds = 5) {
+  // 📝 TITLE AND DETAILS OF AN ITEM IN ONE LANGUAGE, FROM THE TYPE'S CONTENT FORMAT
+  // `format` ({ ar, en }) replaces the saved format, for previewing unsaved edits
+  formatContentDetails(item, lang, showCoordinates, format = {}) {
+    const labels = LABELS[lang];
+    const body = format[lang] || this.formats.getBody(item.type, lang);
+
+    let message = body
+      ? `${this.formats.render(body, this.getFormatValues(item, lang, showCoordinates), labels.locale).trim()}\n\n`
+      : `📄 ${labels.content}: ${this.getLocalizedField(item, 'name', lang) || this.getLocalizedField(item, 'title', lang)}\n\n`;
+
+    // Lines starting with an emoji or a number would otherwise be laid out left to right
+    if (labels.rtl) {
+      message = message.split('\n').map(line => (line ? `${RLM}${line}` : line)).join('\n');
+    }
+
+    return message;
+  }
+
+  // 🔧 UTILITY: Values a content format can use
+  getFormatValues(item, lang, showCoordinates) {
+    const values = { ...item };
+    TRANSLATED_FIELDS.forEach(field => {
+      values[field] = this.getLocalizedField(item, field, lang);
+    });
+
+    const coordinates = this.getCoordinates(item);
+    values.coordinates = showCoordinates && coordinates ? `${coordinates.latitude}, ${coordinates.longitude}` : '';
+    return values;
+  }
+
+  // 👀 PREVIEW A CONTENT FORMAT WITH A REAL ITEM
+  // Unsaved `ar` / `en` bodies are rendered instead of the saved ones when given
+  async previewFormat(type, contentId, { language = DEFAULT_LANGUAGE, mediaMode = 'text', ar, en } = {}) {
     try {
-      const results = {
-        success: [],
-        failed: []
+      this.formats.checkType(type);
+
+      const invalid = this.formats.getFormatsError({ ar, en });
+      if (invalid) {
+        throw new Error(invalid);
+      }
+      const format = { ar, en };
+
+      await this.formats.load();
+      const item = await this.getContentItem(type, contentId);
+      const { message } = this.formatContentForWhatsApp(item, mediaMode, { language, format });
+
+      return {
+        type,
+        contentId,
+        language,
+        name: item.nameAr || item.nameEn || item.titleAr || item.titleEn,
+        message
       };
+    } catch (error) {
+      console.error('❌ Error previewing content format:', error);
+      throw error;
+    }
+  }
 
-      console.log(`📤 Sharing ${selectedContent.length} content items to ${contactIds.length} contacts and ${groupIds.length} groups`);
-
-      for (let i = 0; i < selectedContent.length; i++) {
-        const item = selectedContent[i];
-        const { message } = this.formatContentForWhatsApp(item);
-        
-        console.log(`📤 Sharing ${item.type}: ${item.nameAr || item.nameEn || item.titleAr || item.titleEn} (${i + 1}/${selectedContent.length})`);
-
-        // Send to contacts
-        for (const contactId of contactIds) {
-          try {
-            // Send only the message with URLs - NO IMAGES
-            await whatsappService.sendToContact(contactId, message);
-            
-            results.success.push({
-              contentId: item.id,
-              contentType: item.type,
-              targetType: 'contact',
-              targetId: contactId
-            });
-          } catch (error) {
-            results.failed.push({
-              contentId: item.id,
-              contentType: item.type,
-              targetType: 'contact',
-              targetId: contactId,
-              error: error.message
-            });
-          }
-        }
+  // 🌐 LANGUAGE BLOCKS TO RENDER FOR A PREFERENCE
+  // 'both' only adds the English block when the item has English text, and vice versa
+  getContentLanguages(item, language) {
+    if (!LANGUAGES.includes(language)) {
+      language = DEFAULT_LANGUAGE;
+    }
+    if (language !== 'both') {
+      return [language];
+    }
 
-        // Send to groups
-        for (const groupId of groupIds) {
-          try {
-            // Send only the message with URLs - NO IMAGES
-            await whatsappService.sendToGroup(groupId, message);
-            
-            results.success.push({
-              contentId: item.id,
-              contentType: item.type,
-              targetType: 'group',
-              targetId: groupId
-            });
-          } catch (error) {
-            results.failed.push({
-              contentId: item.id,
-              contentType: item.type,
-              targetType: 'group',
-              targetId: groupId,
-              error: error.message
-            });
-          }
-        }
+    const has = suffix => TRANSLATED_FIELDS.some(field => item[`${field}${suffix}`]);
+    if (has('Ar') && has('En')) {
+      return ['ar', 'en'];
+    }
+    return has('En') ? ['en'] : ['ar'];
+  }
 
-        // Add delay between content items to prevent spam
-        if (i < selectedContent.length - 1) {
-          console.log(`⏳ Waiting ${delaySeconds} seconds...`);
-          await new Promise(resolve => setTimeout(resolve, delaySeconds * 1000));
-        }
+  // 🔧 UTILITY: A translated field in the wanted language, falling back to the other one ('' when neither is set)
+  getLocalizedField(item, field, lang) {
+    const [preferred, fallback] = lang === 'en' ? ['En', 'Ar'] : ['Ar', 'En'];
+    return toText(item[`${field}${preferred}`] || item[`${field}${fallback}`]);
+  }
+
+  // 📤 QUEUE CONTENT SHARE TO CONTACTS/GROUPS
+  // `skipShared` skips contacts, groups and members of groups without a WhatsApp chat that already received an item
+  // (see ShareHistoryService)
+  async shareContent(whatsappService, selectedContent, contactIds = [], groupIds = [], delaySeconds = 5, { name, mediaMode = 'text', locationPins = true, rsvp = false, skipShared = false } = {}) {
+    try {
+      if (!MEDIA_MODES.includes(mediaMode)) {
+        throw new Error(`Media mode must be one of: ${MEDIA_MODES.join(', ')}`);
       }
 
-      console.log(`📊 Sharing complete: ${results.success.length} success, ${results.failed.length} failed`);
-      return results;
+      console.log(`📤 Queueing ${selectedContent.length} content items (${mediaMode}) for ${contactIds.length} contacts and ${groupIds.length} groups`);
+
+      return await whatsappService.queue.enqueue({
+        kind: 'share',
+        name,
+        contentRefs: selectedContent.map(item => ({ id: item.id, type: item.type })),
+        contactIds,
+        groupIds,
+        delaySeconds,
+        mediaMode,
+        locationPins,
+        rsvp,
+        skipShared
+      });
     } catch (error) {
       console.error('❌ Error sharing content:', error);
       throw error;
     }
   }
+
+  // 📤 SEND ONE CONTENT ITEM TO ONE CONTACT/GROUP
+  // The result of the main message (text, or main image with caption) is returned;
+  // the location pin sent before it, extra attachments in 'full' mode and the RSVP poll after it are best effort
+  // Text, captions and pins are rendered per recipient, in the contact's or group's language
+  async shareItemToTarget(whatsappService, item, targetType, targetId, context = {}, { mediaMode = 'text', locationPins = true, rsvp = false } = {}) {
+    await this.formats.load();
+
+    const isGroup = targetType === 'group';
+    const format = (mode, options) => recipient => this.formatContentForWhatsApp(item, mode, {
+      ...options,
+      language: recipient?.language || DEFAULT_LANGUAGE
+    }).message;
+    const sendText = text => isGroup
+      ? whatsappService.sendToGroup(targetId, text, context)
+      : whatsappService.sendToContact(targetId, text, context);
+    const sendImage = (url, caption) => isGroup
+      ? whatsappService.sendImageToGroup(targetId, url, caption, context)
+      : whatsappService.sendImageToContact(targetId, url, caption, context);
+    const sendVideo = (url, caption) => isGroup
+      ? whatsappService.sendVideoToGroup(targetId, url, caption, context)
+      : whatsappService.sendVideoToContact(targetId, url, caption, context);
+    const isDelivered = result => (isGroup ? result.success.length > 0 : result.success);
+
+    console.log(`📤 Sharing ${item.type}: ${item.nameAr || item.nameEn || item.titleAr || item.titleEn} to ${targetType} ${targetId} (${mediaMode})`);
+
+    // Pin first, then the text summary as its own message
+    const coordinates = locationPins ? this.getCoordinates(item) : null;
+    let pinned = false;
+    if (coordinates) {
+      try {
+        const pin = recipient => this.createLocationPin(item, coordinates, recipient?.language || DEFAULT_LANGUAGE);
+        const pinResult = isGroup
+          ? await whatsappService.sendToGroup(targetId, pin, context)
+          : await whatsappService.sendToContact(targetId, pin, context);
+
+        // Opted out: nothing else goes to this recipient
+        if (!isDelivered(pinResult) && (pinResult.suppressed === true || pinResult.suppressed?.length > 0)) {
+          return pinResult;
+        }
+        pinned = isDelivered(pinResult);
+      } catch (error) {
+        console.error(`❌ Failed to send location pin: ${error.message}`);
+      }
+    }
+
+    const mainImage = mediaMode === 'text' ? null : this.getMainImage(item);
+    let result = null;
+
+    if (mainImage) {
+      try {
+        const caption = format(mediaMode, { showCoordinates: !pinned });
+        result = await sendImage(mainImage, recipient => caption(recipient).trim());
+
+        // Group sends report failures instead of throwing
+        if (!isDelivered(result) && result.failed?.length > 0) {
+          console.log(`⚠️ Main image failed (${result.failed[0].error}), sending text instead`);
+          result = null;
+        }
+      } catch (error) {
+        // Image could not be downloaded: the text still goes out
+        console.log(`⚠️ Main image failed (${error.message}), sending text instead`);
+      }
+    }
+
+    if (!result) {
+      result = await sendText(format(mediaMode === 'full' ? 'full' : 'text', { showCoordinates: !pinned }));
+    }
+
+    if (!isDelivered(result)) {
+      return result;
+    }
+
+    await whatsappService.shareHistory.recordShare(item, targetType, targetId, result, context);
+
+    // Live news edits and the end of the live window are followed up in the same chats
+    if (item.type === 'liveNews') {
+      await whatsappService.liveNews.trackDelivery(item, targetType, targetId, result, context);
+    }
+
+    if (mediaMode === 'full') {
+      // Every picture but the one the main message carried, whether linked or embedded
+      const media = this.extractMediaFromItem(item);
+      const attachments = [
+        ...media.images.filter(image => image.url !== mainImage).map(image => ({ ...image, send: sendImage })),
+        ...media.photos360.map(photo360 => ({ ...photo360, send: sendImage })),
+        ...media.videos.map(video => ({ ...video, send: sendVideo }))
+      ];
+
+      for (const attachment of attachments) {
+        try {
+          await attachment.send(attachment.url, attachment.caption);
+        } catch (error) {
+          console.error(`❌ Failed to attach ${attachment.type} ${this.isDataUri(attachment.url) ? '(embedded)' : attachment.url}: ${error.message}`);
+        }
+      }
+    }
+
+    // RSVP poll closes an activity share
+    if (rsvp && item.type === 'activity') {
+      try {
+        await whatsappService.rsvps.sendPoll(item, targetType, targetId, context);
+      } catch (error) {
+        console.error(`❌ Failed to send RSVP poll: ${error.message}`);
+      }
+    }
+
+    return result;
+  }
 }
 
 module.exports = ContentSharingService;
+module.exports.MEDIA_MODES = MEDIA_MODES;
+module.exports.CONTENT_TYPES = CONTENT_TYPES;
+module.exports.LIST_LIMITS = LIST_LIMITS;
+module.exports.LANGUAGES = LANGUAGES;
+module.exports.DEFAULT_LANGUAGE = DEFAULT_LANGUAGE;
@@ -0,0 +1,121 @@
+const admin = require('firebase-admin');
+
+class DeadLetterService {
+  constructor(whatsappService) {
+    this.whatsappService = whatsappService;
+    this.collectionName = 'whatsapp_dead_letters';
+  }
+
+  getCollection() {
+    return this.whatsappService.getDatabase().collection(this.collectionName);
+  }
+
+  // ☠️ PARK A SEND THAT COULD NOT BE DELIVERED
+  async addEntry(job, step, stepIndex, outcome) {
+    try {
+      const entry = {
+        campaignId: job.id,
+        campaignName: job.name || null,
+        step: stepIndex,
+        kind: job.kind,
+        targetType: step.targetType,
+        targetId: step.targetId,
+        groupId: step.groupId || null, // set for a member of a group without a WhatsApp chat
+        message: job.message || null,
+        templateId: job.templateId || null,
+        variables: job.variables || {},
+        contentRef: job.kind === 'share' ? job.contentRefs[step.contentIndex] : null,
+        mediaMode: job.mediaMode || null,
+        locationPins: job.locationPins ?? null,
+        rsvp: job.rsvp ?? null,
+        media: job.media || null,
+        error: outcome.details.error,
+        errorType: outcome.transient ? 'transient' : 'permanent',
+        attempts: outcome.details.attempts || 1,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      const docRef = await this.getCollection().add(entry);
+      console.log(`☠️ Dead letter ${docRef.id}: ${step.targetType} ${step.targetId} (${entry.error})`);
+      return docRef.id;
+    } catch (error) {
+      console.error('❌ Error saving dead letter:', error);
+    }
+  }
+
+  // 📎 MEDIA URLS DEAD LETTERS WOULD SEND AGAIN IF RETRIED
+  async getMediaInUse() {
+    const snapshot = await this.getCollection().where('kind', '==', 'media').get();
+    return new Set(snapshot.docs
+      .map(doc => doc.data().media?.url)
+      .filter(Boolean));
+  }
+
+  // 📋 LIST DEAD LETTERS
+  async getEntries({ campaignId } = {}) {
+    try {
+      let query = this.getCollection();
+      if (campaignId) {
+        query = query.where('campaignId', '==', campaignId);
+      }
+
+      const snapshot = await query.get();
+      const entries = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+      entries.sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+      return entries;
+    } catch (error) {
+      console.error('❌ Error getting dead letters:', error);
+      throw error;
+    }
+  }
+
+  // 🔁 RETRY: queue the send again as a one-recipient campaign
+  async retryEntry(entryId) {
+    try {
+      const docRef = this.getCollection().doc(entryId);
+      const doc = await docRef.get();
+      if (!doc.exists) {
+        throw new Error('Dead letter not found');
+      }
+
+      const entry = doc.data();
+      const result = await this.whatsappService.queue.enqueue({
+        kind: entry.kind,
+        name: `Retry: ${entry.campaignName || entry.campaignId}`,
+        message: entry.message,
+        templateId: entry.templateId,
+        variables: entry.variables,
+        contentRefs: entry.contentRef ? [entry.contentRef] : [],
+        mediaMode: entry.mediaMode,
+        locationPins: entry.locationPins,
+        rsvp: entry.rsvp,
+        media: entry.media,
+        contactIds: entry.targetType === 'contact' ? [entry.targetId] : [],
+        groupIds: entry.targetType === 'group' ? [entry.targetId] : []
+      });
+
+      await docRef.delete();
+      console.log(`🔁 Dead letter ${entryId} requeued as campaign ${result.campaignId}`);
+
+      return { success: true, campaignId: result.campaignId };
+    } catch (error) {
+      console.error('❌ Error retrying dead letter:', error);
+      throw error;
+    }
+  }
+
+  // 🗑️ DISCARD DEAD LETTER
+  async discardEntry(entryId) {
+    try {
+      await this.getCollection().doc(entryId).delete();
+      console.log(`🗑️ Dead letter discarded: ${entryId}`);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error discarding dead letter:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = DeadLetterService;
@@ -0,0 +1,80 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+
+// Keys expire after this many hours (a Firestore TTL policy on `expiresAt` can purge them)
+const KEY_TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+class IdempotencyService {
+  constructor(whatsappService) {
+    this.whatsappService = whatsappService;
+    this.collectionName = 'whatsapp_idempotency_keys';
+  }
+
+  getDocument(key, req) {
+    // Firestore IDs can't hold arbitrary client strings, so hash the scoped key
+    const id = this.hash(`${req.method} ${req.baseUrl}${req.path} ${key}`);
+    return this.whatsappService.getDatabase().collection(this.collectionName).doc(id);
+  }
+
+  // 🔑 CLAIM A KEY (or return what the first request produced)
+  async claim(key, req) {
+    const docRef = this.getDocument(key, req);
+    const fingerprint = this.hash(JSON.stringify(req.body || {}));
+    const expiresAt = admin.firestore.Timestamp.fromMillis(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000);
+
+    return this.whatsappService.getDatabase().runTransaction(async transaction => {
+      const doc = await transaction.get(docRef);
+
+      if (doc.exists && doc.data().expiresAt.toMillis() > Date.now()) {
+        const stored = doc.data();
+        if (stored.fingerprint !== fingerprint) {
+          return { state: 'mismatch' };
+        }
+        if (stored.state === 'completed') {
+          return { state: 'completed', statusCode: stored.statusCode, body: stored.body };
+        }
+        return { state: 'in_progress' };
+      }
+
+      transaction.set(docRef, {
+        key,
+        method: req.method,
+        path: `${req.baseUrl}${req.path}`,
+        fingerprint,
+        state: 'in_progress',
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        expiresAt
+      });
+      return { state: 'claimed' };
+    });
+  }
+
+  // 💾 STORE THE FIRST RESPONSE FOR REPLAY
+  async complete(key, req, statusCode, body) {
+    try {
+      await this.getDocument(key, req).update({
+        state: 'completed',
+        statusCode,
+        body,
+        completedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    } catch (error) {
+      console.error('❌ Error saving idempotent response:', error);
+    }
+  }
+
+  // 🔓 RELEASE A KEY SO A FAILED REQUEST CAN BE RETRIED
+  async release(key, req) {
+    try {
+      await this.getDocument(key, req).delete();
+    } catch (error) {
+      console.error('❌ Error releasing idempotency key:', error);
+    }
+  }
+
+  hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+}
+
+module.exports = IdempotencyService;
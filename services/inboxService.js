@@ -0,0 +1,215 @@
+const admin = require('firebase-admin');
+
+class InboxService {
+  constructor(whatsappService) {
+    this.whatsappService = whatsappService;
+    this.collectionName = 'whatsapp_conversations';
+  }
+
+  getCollection() {
+    return this.whatsappService.getDatabase().collection(this.collectionName);
+  }
+
+  // 📥 STORE AN INCOMING MESSAGE IN ITS CONVERSATION
+  async handleIncoming(msg) {
+    try {
+      // Status updates and broadcast lists are not conversations
+      if (msg.isStatus || msg.from === 'status@broadcast' || msg.from.endsWith('@broadcast')) {
+        return null;
+      }
+
+      const isGroup = msg.from.endsWith('@g.us');
+      const senderId = isGroup ? msg.author : msg.from;
+      const contact = await this.findContactByChatId(senderId);
+      const group = isGroup ? await this.findGroupByChatId(msg.from) : null;
+      const senderName = contact?.name || msg._data?.notifyName || this.getNumber(senderId);
+
+      const message = {
+        messageId: msg.id._serialized,
+        fromMe: false,
+        from: senderId,
+        senderName,
+        contactId: contact?.id || null,
+        body: msg.body || '',
+        type: msg.type,
+        hasMedia: !!msg.hasMedia,
+        timestamp: admin.firestore.Timestamp.fromMillis((msg.timestamp || Date.now() / 1000) * 1000)
+      };
+
+      const conversation = {
+        chatId: msg.from,
+        isGroup,
+        name: isGroup ? (group?.name || msg.from) : senderName,
+        contactId: isGroup ? null : contact?.id || null,
+        groupId: group?.id || null,
+        lastMessage: message.body || `[${message.type}]`,
+        lastMessageAt: message.timestamp
+      };
+
+      const conversationRef = this.getCollection().doc(msg.from);
+      await conversationRef.set({
+        ...conversation,
+        unreadCount: admin.firestore.FieldValue.increment(1),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+      await conversationRef.collection('messages').doc(message.messageId).set(message);
+
+      console.log(`📥 Message from ${senderName}${isGroup ? ` in ${conversation.name}` : ''}`);
+      this.whatsappService.io.emit('inbox-message', {
+        chatId: msg.from,
+        conversation,
+        message
+      });
+
+      return { conversation, message, contact };
+    } catch (error) {
+      console.error('❌ Error storing incoming message:', error);
+      return null;
+    }
+  }
+
+  // 📋 LIST CONVERSATIONS (most recent first)
+  async getConversations(limit = 50) {
+    try {
+      const snapshot = await this.getCollection()
+        .orderBy('lastMessageAt', 'desc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      console.error('❌ Error getting conversations:', error);
+      throw error;
+    }
+  }
+
+  // 💬 READ A THREAD (oldest first; pass `before` to page back)
+  async getThread(chatId, { limit = 50, before } = {}) {
+    try {
+      const conversationRef = this.getCollection().doc(chatId);
+      const conversationDoc = await conversationRef.get();
+      if (!conversationDoc.exists) {
+        throw new Error('Conversation not found');
+      }
+
+      let query = conversationRef.collection('messages').orderBy('timestamp', 'desc');
+      if (before) {
+        query = query.where('timestamp', '<', admin.firestore.Timestamp.fromDate(new Date(before)));
+      }
+
+      const snapshot = await query.limit(limit).get();
+      const messages = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).reverse();
+
+      return { id: conversationDoc.id, ...conversationDoc.data(), messages };
+    } catch (error) {
+      console.error('❌ Error getting thread:', error);
+      throw error;
+    }
+  }
+
+  // ↩️ REPLY IN A CONVERSATION
+  async reply(chatId, text, quotedMessageId = null) {
+    try {
+      if (!this.whatsappService.isWhatsAppConnected()) {
+        throw new Error('WhatsApp is not connected. Please connect first.');
+      }
+
+      const conversationRef = this.getCollection().doc(chatId);
+      const conversationDoc = await conversationRef.get();
+      if (!conversationDoc.exists) {
+        throw new Error('Conversation not found');
+      }
+
+      const conversation = conversationDoc.data();
+      const options = quotedMessageId ? { quotedMessageId } : {};
+      const sentMessage = await this.whatsappService.deliver(chatId, text, options, {
+        contactId: conversation.contactId,
+        groupId: conversation.groupId
+      });
+
+      await this.recordOutgoing(chatId, sentMessage, text);
+
+      console.log(`↩️ Replied to ${conversation.name}`);
+      return { success: true, messageId: sentMessage.id._serialized };
+    } catch (error) {
+      console.error('❌ Error replying to conversation:', error);
+      throw error;
+    }
+  }
+
+  // 💾 ADD ONE OF OUR MESSAGES TO A THREAD
+  async recordOutgoing(chatId, sentMessage, text) {
+    const message = {
+      messageId: sentMessage.id._serialized,
+      fromMe: true,
+      from: null,
+      senderName: null,
+      contactId: null,
+      body: text,
+      type: 'chat',
+      hasMedia: false,
+      timestamp: admin.firestore.Timestamp.now()
+    };
+
+    const conversationRef = this.getCollection().doc(chatId);
+    await conversationRef.collection('messages').doc(message.messageId).set(message);
+    await conversationRef.update({
+      lastMessage: text,
+      lastMessageAt: message.timestamp,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    this.whatsappService.io.emit('inbox-message', { chatId, message });
+    return message;
+  }
+
+  // 👁️ MARK CONVERSATION AS READ
+  async markRead(chatId) {
+    try {
+      await this.getCollection().doc(chatId).update({ unreadCount: 0 });
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error marking conversation read:', error);
+      throw error;
+    }
+  }
+
+  // 🔍 MATCH A WHATSAPP CHAT ID TO A SAVED CONTACT
+  async findContactByChatId(chatId) {
+    if (!chatId) {
+      return null;
+    }
+
+    const snapshot = await this.whatsappService.getDatabase().collection('whatsapp_contacts')
+      .where('phone', 'in', this.getPhoneCandidates(this.getNumber(chatId)))
+      .limit(1)
+      .get();
+
+    return snapshot.empty ? null : { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+  }
+
+  // 🔍 MATCH A WHATSAPP GROUP ID TO A SAVED GROUP
+  async findGroupByChatId(chatId) {
+    const snapshot = await this.whatsappService.getDatabase().collection('whatsapp_groups')
+      .where('whatsappGroupId', '==', chatId)
+      .limit(1)
+      .get();
+
+    return snapshot.empty ? null : { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+  }
+
+  // 🔧 UTILITY: "96170123456@c.us" -> "96170123456"
+  getNumber(chatId) {
+    return (chatId || '').split('@')[0];
+  }
+
+  // 🔧 UTILITY: Stored phone forms that formatPhoneNumber turns into this number
+  getPhoneCandidates(number) {
+    const candidates = [number];
+    if (number.startsWith('961')) candidates.push(number.slice(3)); // 8-digit local
+    if (number.startsWith('96')) candidates.push(number.slice(2)); // 10-digit
+    return [...new Set(candidates)];
+  }
+}
+
+module.exports = InboxService;
@@ -0,0 +1,377 @@
+const admin = require('firebase-admin');
+const { DEFAULT_LANGUAGE } = require('./contentSharingService');
+
+// Fields that make an edit worth a follow-up (anything else, e.g. counters, is ignored);
+// a chat only gets an update when something in its language (or the timing) changed
+const TRACKED_FIELDS = {
+  ar: ['titleAr', 'descriptionAr', 'liveStartTime', 'liveDurationHours'],
+  en: ['titleEn', 'descriptionEn', 'liveStartTime', 'liveDurationHours']
+};
+
+const LIVE_LABELS = {
+  en: { update: '🔄 *Update:*', ended: '⏹️ *Live coverage has ended:*' },
+  ar: { update: '\u200F🔄 *تحديث:*', ended: '\u200F⏹️ *انتهت التغطية المباشرة:*' }
+};
+
+// How often tracked live news is checked for edits and for the end of its live window
+const TICK_INTERVAL = 30 * 1000;
+
+// A window that ended longer ago than this (e.g. while disconnected) is closed without a message
+const LATE_CLOSE_LIMIT_MS = 60 * 60 * 1000;
+
+class LiveNewsService {
+  constructor(whatsappService) {
+    this.whatsappService = whatsappService;
+    this.contentSharingService = whatsappService.contentSharingService;
+    this.collectionName = 'whatsapp_live_news'; // one document per shared live news item
+    this.tickInterval = null;
+    this.isTicking = false;
+  }
+
+  getCollection() {
+    return this.whatsappService.getDatabase().collection(this.collectionName);
+  }
+
+  // ▶️ START CHECKING TRACKED LIVE NEWS
+  start() {
+    if (this.tickInterval) {
+      clearInterval(this.tickInterval);
+    }
+
+    this.tickInterval = setInterval(() => this.tick(), TICK_INTERVAL);
+    console.log('🔴 Live news follow-ups started (30-second checks)');
+  }
+
+  // ⏹️ STOP CHECKING
+  stop() {
+    if (this.tickInterval) {
+      clearInterval(this.tickInterval);
+      this.tickInterval = null;
+      console.log('⏹️ Live news follow-ups stopped');
+    }
+  }
+
+  // 📌 REMEMBER WHICH CHATS A LIVE NEWS ITEM WAS SENT TO
+  // `result` is the main message's send result; follow-ups quote that message
+  async trackDelivery(item, targetType, targetId, result, context = {}) {
+    try {
+      const endsAt = this.getLiveEnd(item);
+      if (endsAt && endsAt <= new Date()) {
+        return;
+      }
+
+      const chats = await this.getDeliveredChats(targetType, targetId, result, context);
+      if (chats.length === 0) {
+        return;
+      }
+
+      const docRef = this.getCollection().doc(item.id);
+      await this.whatsappService.getDatabase().runTransaction(async transaction => {
+        const doc = await transaction.get(docRef);
+        if (!doc.exists) {
+          transaction.set(docRef, {
+            contentId: item.id,
+            title: item.titleAr || item.titleEn || '',
+            fingerprints: this.getFingerprints(item),
+            liveEndsAt: endsAt ? admin.firestore.Timestamp.fromDate(endsAt) : null,
+            status: 'live',
+            chats,
+            updateCount: 0,
+            lastUpdateAt: null,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        } else if (doc.data().status === 'live') {
+          transaction.update(docRef, { chats: admin.firestore.FieldValue.arrayUnion(...chats) });
+        }
+      });
+    } catch (error) {
+      console.error(`❌ Error tracking live news ${item.id}:`, error);
+    }
+  }
+
+  // 🔁 SEND FOLLOW-UPS FOR EDITED LIVE NEWS AND CLOSE ENDED WINDOWS
+  // Nothing is checked while disconnected, so edits and endings are picked up once connected again
+  async tick() {
+    if (this.isTicking || !this.whatsappService.isWhatsAppConnected()) {
+      return;
+    }
+
+    this.isTicking = true;
+    try {
+      const snapshot = await this.getCollection().where('status', '==', 'live').get();
+      for (const doc of snapshot.docs) {
+        await this.checkItem({ id: doc.id, ...doc.data() });
+      }
+    } catch (error) {
+      console.error('❌ Live news check failed:', error);
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  // 🔎 COMPARE ONE TRACKED ITEM WITH ITS CURRENT VERSION
+  async checkItem(tracked) {
+    try {
+      const doc = await this.contentSharingService.getDatabase().collection('news').doc(tracked.id).get();
+      if (!doc.exists) {
+        // Deleted: there is nothing left to follow up on
+        await this.claim(tracked, {
+          status: 'closed',
+          closeReason: 'removed',
+          closedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return;
+      }
+
+      const item = this.contentSharingService.normalizeContent(doc, 'liveNews');
+      const now = new Date();
+      const endsAt = this.getLiveEnd(item);
+
+      if (doc.get('type') !== 'live' || (endsAt && endsAt <= now)) {
+        const late = endsAt && now - endsAt > LATE_CLOSE_LIMIT_MS;
+        await this.closeItem(tracked, item, late ? 'expired' : 'ended', { silent: late });
+        return;
+      }
+
+      const fingerprints = this.getFingerprints(item);
+      const changed = Object.keys(fingerprints).filter(lang => fingerprints[lang] !== tracked.fingerprints?.[lang]);
+      if (changed.length === 0) {
+        return;
+      }
+
+      const changes = {
+        fingerprints,
+        liveEndsAt: endsAt ? admin.firestore.Timestamp.fromDate(endsAt) : null
+      };
+
+      // Edits before the item goes live are already in what subscribers will see
+      if (item.liveStartTime > now) {
+        await this.claim(tracked, changes);
+        return;
+      }
+
+      const claimed = await this.claim(tracked, {
+        ...changes,
+        updateCount: admin.firestore.FieldValue.increment(1),
+        lastUpdateAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      if (!claimed) {
+        return;
+      }
+
+      await this.contentSharingService.formats.load();
+      const counts = await this.sendToChats(tracked, item, language => this.buildUpdateMessage(item, language), changed);
+
+      console.log(`🔄 Live news update sent for ${tracked.title}: ${counts.sent} chats`);
+      this.whatsappService.io.emit('live-news-update', { contentId: item.id, ...counts });
+    } catch (error) {
+      console.error(`❌ Error checking live news ${tracked.id}:`, error);
+    }
+  }
+
+  // ⏹️ CLOSE A TRACKED ITEM NOW (manually, before its live window ends)
+  async closeLiveNews(contentId) {
+    try {
+      const trackedDoc = await this.getCollection().doc(contentId).get();
+      if (!trackedDoc.exists) {
+        throw new Error('Live news is not tracked');
+      }
+
+      const tracked = { id: contentId, ...trackedDoc.data() };
+      if (tracked.status !== 'live') {
+        throw new Error('Live news is already closed');
+      }
+
+      const doc = await this.contentSharingService.getDatabase().collection('news').doc(contentId).get();
+      const item = doc.exists
+        ? this.contentSharingService.normalizeContent(doc, 'liveNews')
+        : { id: contentId, type: 'liveNews', titleAr: tracked.title };
+
+      const counts = await this.closeItem(tracked, item, 'manual');
+      return { success: true, contentId, ...counts };
+    } catch (error) {
+      console.error('❌ Error closing live news:', error);
+      throw error;
+    }
+  }
+
+  // 🏁 MARK AN ITEM CLOSED AND TELL ITS CHATS (unless `silent`)
+  async closeItem(tracked, item, reason, { silent = false } = {}) {
+    const claimed = await this.claim(tracked, {
+      status: 'closed',
+      closeReason: reason,
+      closedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    if (!claimed || silent) {
+      return { sent: 0, failed: 0, suppressed: 0 };
+    }
+
+    const counts = await this.sendToChats(tracked, item, language => this.buildClosingMessage(item, language));
+
+    console.log(`⏹️ Live news closed (${reason}): ${tracked.title}, ${counts.sent} chats told`);
+    this.whatsappService.io.emit('live-news-closed', { contentId: tracked.id, reason, ...counts });
+    return counts;
+  }
+
+  // 📋 LIST TRACKED LIVE NEWS (newest first)
+  async getLiveNews({ status = null } = {}) {
+    try {
+      let query = this.getCollection();
+      if (status) {
+        query = query.where('status', '==', status);
+      }
+
+      const snapshot = await query.get();
+      return snapshot.docs
+        .map(doc => this.describe(doc))
+        .sort((a, b) => (b.createdAt?.getTime() || 0) - (a.createdAt?.getTime() || 0));
+    } catch (error) {
+      console.error('❌ Error getting live news:', error);
+      throw error;
+    }
+  }
+
+  // 🔎 GET ONE TRACKED ITEM WITH ITS CHATS
+  async getLiveNewsItem(contentId) {
+    try {
+      const doc = await this.getCollection().doc(contentId).get();
+      if (!doc.exists) {
+        throw new Error('Live news is not tracked');
+      }
+      return { ...this.describe(doc), chats: doc.data().chats || [] };
+    } catch (error) {
+      console.error('❌ Error getting live news item:', error);
+      throw error;
+    }
+  }
+
+  // 📤 SEND A FOLLOW-UP TO EVERY TRACKED CHAT, QUOTING THE FIRST MESSAGE IT GOT
+  // With `languages`, only chats that read one of them are sent to
+  async sendToChats(tracked, item, buildMessage, languages = null) {
+    const counts = { sent: 0, failed: 0, suppressed: 0 };
+    const chats = (tracked.chats || []).filter((chat, index, all) => all.findIndex(other => other.chatId === chat.chatId) === index);
+
+    for (const chat of chats) {
+      const language = chat.language || DEFAULT_LANGUAGE;
+      if (languages && !this.contentSharingService.getContentLanguages(item, language).some(lang => languages.includes(lang))) {
+        continue;
+      }
+
+      try {
+        await this.whatsappService.deliver(chat.chatId, buildMessage(language), {
+          quotedMessageId: chat.messageId
+        }, {
+          contentId: item.id,
+          contentType: 'liveNews',
+          contactId: chat.contactId || null,
+          groupId: chat.groupId || null
+        });
+        counts.sent++;
+      } catch (error) {
+        if (error.code === 'SUPPRESSED') {
+          counts.suppressed++;
+          continue;
+        }
+        console.error(`❌ Failed to send live news follow-up to ${chat.chatId}: ${error.message}`);
+        counts.failed++;
+      }
+    }
+    return counts;
+  }
+
+  buildUpdateMessage(item, language) {
+    const header = this.contentSharingService.getContentLanguages(item, language)
+      .map(lang => LIVE_LABELS[lang].update)
+      .join('\n');
+
+    // Details only: the media links were in the original message
+    const { message } = this.contentSharingService.formatContentForWhatsApp(item, 'full', { language });
+    return `${header}\n\n${message.trim()}`;
+  }
+
+  buildClosingMessage(item, language) {
+    return this.contentSharingService.getContentLanguages(item, language)
+      .map(lang => `${LIVE_LABELS[lang].ended} ${this.contentSharingService.getLocalizedField(item, 'title', lang)}`.trim())
+      .join('\n');
+  }
+
+  // 🔧 UTILITY: Apply `changes` unless another check (or server) already handled this version
+  async claim(tracked, changes) {
+    const docRef = this.getCollection().doc(tracked.id);
+    return await this.whatsappService.getDatabase().runTransaction(async transaction => {
+      const doc = await transaction.get(docRef);
+      const current = doc.exists ? doc.data() : {};
+      if (current.status !== 'live' || JSON.stringify(current.fingerprints) !== JSON.stringify(tracked.fingerprints)) {
+        return false;
+      }
+      transaction.update(docRef, changes);
+      return true;
+    });
+  }
+
+  // 🔧 UTILITY: Chats that received the main message, with the language it was sent in
+  async getDeliveredChats(targetType, targetId, result, context) {
+    const entry = (chatId, messageId, language, ids) => ({
+      chatId,
+      messageId,
+      language: language || DEFAULT_LANGUAGE,
+      targetType,
+      targetId,
+      contactId: ids.contactId || null,
+      groupId: ids.groupId || null,
+      campaignId: context.campaignId || null
+    });
+
+    if (targetType !== 'group') {
+      return result.success && result.chatId
+        ? [entry(result.chatId, result.messageId, result.contact?.language, { contactId: targetId })]
+        : [];
+    }
+
+    const groupDoc = await this.whatsappService.getDatabase().collection('whatsapp_groups').doc(targetId).get();
+    const group = groupDoc.exists ? groupDoc.data() : {};
+    const members = new Map((group.contacts || []).map(contact => [contact.id, contact]));
+
+    return result.success
+      .filter(sent => sent.chatId)
+      .map(sent => entry(sent.chatId, sent.messageId, members.get(sent.contactId)?.language || group.language, {
+        groupId: targetId,
+        contactId: sent.contactId
+      }));
+  }
+
+  // 🔧 UTILITY: When the live window ends (null when it has no duration)
+  getLiveEnd(item) {
+    const start = item.liveStartTime?.getTime?.();
+    if (!item.liveDurationHours || Number.isNaN(start)) {
+      return null;
+    }
+    return new Date(start + item.liveDurationHours * 60 * 60 * 1000);
+  }
+
+  getFingerprints(item) {
+    return Object.fromEntries(Object.entries(TRACKED_FIELDS).map(([lang, fields]) => [lang, JSON.stringify(fields.map(field => {
+      const value = item[field];
+      return value instanceof Date ? value.getTime() : value ?? null;
+    }))]));
+  }
+
+  describe(doc) {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      contentId: data.contentId,
+      title: data.title,
+      status: data.status,
+      closeReason: data.closeReason || null,
+      chatCount: new Set((data.chats || []).map(chat => chat.chatId)).size,
+      updateCount: data.updateCount || 0,
+      liveEndsAt: data.liveEndsAt?.toDate?.() || null,
+      lastUpdateAt: data.lastUpdateAt?.toDate?.() || null,
+      closedAt: data.closedAt?.toDate?.() || null,
+      createdAt: data.createdAt?.toDate?.() || null
+    };
+  }
+}
+
+module.exports = LiveNewsService;
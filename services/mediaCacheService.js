@@ -0,0 +1,372 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { MessageMedia } = require('whatsapp-web.js');
+
+const MB = 1024 * 1024;
+
+// Image types WhatsApp shows inline, accepted from base64 data URIs, with their file signatures
+const DATA_URI_IMAGE_TYPES = {
+  'image/jpeg': { extension: 'jpg', matches: bytes => bytes[0] === 0xff && bytes[1] === 0xd8 },
+  'image/png': { extension: 'png', matches: bytes => bytes.toString('latin1', 1, 4) === 'PNG' },
+  'image/webp': { extension: 'webp', matches: bytes => bytes.toString('latin1', 8, 12) === 'WEBP' },
+  'image/gif': { extension: 'gif', matches: bytes => bytes.toString('latin1', 0, 3) === 'GIF' }
+};
+
+// What can be sent, and the MIME prefix each kind must have (documents can be any file)
+const MEDIA_KINDS = {
+  image: 'image/',
+  video: 'video/',
+  audio: 'audio/',
+  document: ''
+};
+
+// Uploaded files are cached under this scheme, and kept past the TTL while a queued send may still need them
+const UPLOAD_PREFIX = 'upload://';
+
+// The cache lives on local disk, which a redeploy wipes: uploads queued before it are lost unless
+// MEDIA_CACHE_DIR points at a persistent volume
+const DEFAULT_CACHE_DIR = process.env.MEDIA_CACHE_DIR || path.join(__dirname, '../media_cache');
+
+// Cache limits can be tuned per deployment through the environment
+const CACHE_LIMITS = {
+  maxTotalBytes: (Number(process.env.MEDIA_CACHE_MAX_MB) || 500) * MB,
+  ttlMs: (Number(process.env.MEDIA_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000,
+  // A download still running after this is abandoned (the worker sends one message at a time)
+  downloadTimeoutMs: (Number(process.env.MEDIA_DOWNLOAD_TIMEOUT_SECONDS) || 60) * 1000
+};
+
+// Largest file WhatsApp accepts per kind; bigger files are shared as a link instead
+const WHATSAPP_MAX_BYTES = {
+  media: (Number(process.env.WHATSAPP_MAX_MEDIA_MB) || 16) * MB, // images, videos, audio
+  document: (Number(process.env.WHATSAPP_MAX_DOCUMENT_MB) || 100) * MB
+};
+
+class MediaCacheService {
+  // `getMediaInUse` resolves to the media URLs queued sends still need; only uploads are kept for them,
+  // anything else can be downloaded again
+  constructor({ cacheDir = DEFAULT_CACHE_DIR, getMediaInUse = async () => new Set() } = {}) {
+    this.cacheDir = cacheDir;
+    this.getMediaInUse = getMediaInUse;
+    this.entries = null; // key -> { url, file, mimetype, filename, size, createdAt, lastUsedAt }
+    this.downloads = new Map(); // key -> in-flight download, so concurrent sends share it
+  }
+
+  // 📦 GET MEDIA FOR A URL (downloaded once, then served from disk)
+  // Throws an error with code 'MEDIA_TOO_LARGE' when WhatsApp would reject the file,
+  // and 'MEDIA_TIMEOUT' when the download takes too long
+  async get(url) {
+    const key = this.getKey(url);
+    const entries = await this.getEntries();
+
+    // Uploads are kept until pruned: queued sends may still need them after the TTL
+    const entry = entries.get(key);
+    if (entry && (url.startsWith(UPLOAD_PREFIX) || Date.now() - entry.createdAt < CACHE_LIMITS.ttlMs)) {
+      try {
+        const data = await fs.promises.readFile(path.join(this.cacheDir, entry.file));
+        entry.lastUsedAt = Date.now();
+        return new MessageMedia(entry.mimetype, data.toString('base64'), entry.filename, entry.size);
+      } catch (error) {
+        console.log(`⚠️ Cached media missing for ${url}, downloading again`);
+        entries.delete(key);
+      }
+    }
+
+    if (url.startsWith(UPLOAD_PREFIX)) {
+      throw new Error('Uploaded file is no longer available, please upload it again');
+    }
+
+    if (!this.downloads.has(key)) {
+      this.downloads.set(key, this.download(url, key).finally(() => this.downloads.delete(key)));
+    }
+    const { mimetype, data, filename, size } = await this.downloads.get(key);
+    return new MessageMedia(mimetype, data.toString('base64'), filename, size);
+  }
+
+  // ⬆️ STORE AN UPLOADED FILE, RETURNING THE upload:// URL TO SEND IT BY
+  // `stored` is false when the same file was already cached (it is then only refreshed, not written again)
+  async storeUpload({ buffer, mimetype, originalname }) {
+    const maxBytes = this.getMaxBytes(mimetype);
+    if (buffer.length > maxBytes) {
+      throw this.tooLargeError(originalname, buffer.length, maxBytes);
+    }
+
+    const url = `${UPLOAD_PREFIX}${crypto.createHash('sha256').update(buffer).digest('hex')}`;
+    const key = this.getKey(url);
+
+    const existing = (await this.getEntries()).get(key);
+    if (existing && await this.hasFile(key)) {
+      Object.assign(existing, { createdAt: Date.now(), lastUsedAt: Date.now() });
+      await fs.promises.writeFile(path.join(this.cacheDir, `${key}.json`), JSON.stringify(existing));
+      return { url, stored: false };
+    }
+
+    await this.save(key, {
+      url,
+      file: key,
+      mimetype,
+      filename: originalname || 'file',
+      size: buffer.length,
+      createdAt: Date.now(),
+      lastUsedAt: Date.now()
+    }, buffer);
+
+    return { url, stored: true };
+  }
+
+  // 🗑️ DROP AN UPLOAD NOTHING WAS QUEUED WITH
+  async removeUpload(url) {
+    await this.remove(this.getKey(url));
+  }
+
+  // 🔍 CHECK MEDIA MATCHES THE KIND IT IS SENT AS
+  checkKind(media, kind) {
+    if (!(kind in MEDIA_KINDS)) {
+      throw new Error(`Media type must be one of: ${Object.keys(MEDIA_KINDS).join(', ')}`);
+    }
+    if (!media.mimetype.startsWith(MEDIA_KINDS[kind])) {
+      throw new Error(`File is ${media.mimetype}, which can't be sent as ${kind}`);
+    }
+  }
+
+  // 🧬 DECODE A BASE64 DATA-URI IMAGE (already in memory, so nothing is cached)
+  fromDataUri(dataUri) {
+    const match = /^data:([\w.+-]+\/[\w.+-]+)(?:;[^,;]*)*;base64,(.*)$/s.exec(dataUri);
+    if (!match) {
+      throw new Error('Invalid image data: expected a base64 data URI');
+    }
+
+    const mimetype = match[1].toLowerCase();
+    const imageType = DATA_URI_IMAGE_TYPES[mimetype];
+    if (!imageType) {
+      throw new Error(`Unsupported image type in data URI: ${mimetype} (use JPEG, PNG, WebP or GIF)`);
+    }
+
+    const data = match[2].replace(/\s/g, '');
+    if (!data || !/^[A-Za-z0-9+/]+={0,2}$/.test(data)) {
+      throw new Error('Invalid image data: the data URI is empty or not valid base64');
+    }
+
+    if (!imageType.matches(Buffer.from(data.slice(0, 16), 'base64'))) {
+      throw new Error(`Invalid image data: content does not match ${mimetype}`);
+    }
+
+    const size = Buffer.byteLength(data, 'base64');
+    if (size > WHATSAPP_MAX_BYTES.media) {
+      const error = new Error(`Embedded image is too large for WhatsApp (${(size / MB).toFixed(1)} MB, limit ${WHATSAPP_MAX_BYTES.media / MB} MB)`);
+      error.code = 'MEDIA_TOO_LARGE';
+      throw error;
+    }
+
+    return new MessageMedia(mimetype, data, `image.${imageType.extension}`, size);
+  }
+
+  // ⬇️ DOWNLOAD AND STORE A FILE
+  async download(url, key) {
+    try {
+      return await this.fetchAndStore(url, key);
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        const timeoutError = new Error(`Media download timed out after ${CACHE_LIMITS.downloadTimeoutMs / 1000}s: ${url}`);
+        timeoutError.code = 'MEDIA_TIMEOUT';
+        throw timeoutError;
+      }
+      throw error;
+    }
+  }
+
+  async fetchAndStore(url, key) {
+    // The timeout also covers reading the body
+    const response = await fetch(url, { signal: AbortSignal.timeout(CACHE_LIMITS.downloadTimeoutMs) });
+    if (!response.ok) {
+      throw new Error(`Media download failed (${response.status}): ${url}`);
+    }
+
+    const mimetype = (response.headers.get('content-type') || 'application/octet-stream').split(';')[0].trim();
+    const maxBytes = this.getMaxBytes(mimetype);
+
+    // Refuse before downloading when the server tells us the size
+    const declaredSize = Number(response.headers.get('content-length'));
+    if (declaredSize > maxBytes) {
+      response.body?.cancel?.();
+      throw this.tooLargeError(url, declaredSize, maxBytes);
+    }
+
+    const data = Buffer.from(await response.arrayBuffer());
+    if (data.length > maxBytes) {
+      throw this.tooLargeError(url, data.length, maxBytes);
+    }
+
+    const entry = {
+      url,
+      file: key,
+      mimetype,
+      filename: this.getFilename(url, response.headers.get('content-disposition')),
+      size: data.length,
+      createdAt: Date.now(),
+      lastUsedAt: Date.now()
+    };
+
+    try {
+      await this.save(key, entry, data);
+    } catch (error) {
+      // A full or read-only disk shouldn't stop the send
+      console.error('❌ Error writing media cache:', error);
+    }
+
+    return { ...entry, data };
+  }
+
+  async save(key, entry, data) {
+    await fs.promises.mkdir(this.cacheDir, { recursive: true });
+    await fs.promises.writeFile(path.join(this.cacheDir, key), data);
+    await fs.promises.writeFile(path.join(this.cacheDir, `${key}.json`), JSON.stringify(entry));
+    (await this.getEntries()).set(key, entry);
+    console.log(`📦 Cached ${entry.filename} (${entry.mimetype}, ${(entry.size / MB).toFixed(1)} MB)`);
+    await this.prune();
+  }
+
+  // 📊 CACHE CONTENTS AND LIMITS
+  async getStatus() {
+    const entries = [...(await this.getEntries()).values()];
+    return {
+      files: entries.length,
+      totalBytes: entries.reduce((total, entry) => total + entry.size, 0),
+      maxTotalBytes: CACHE_LIMITS.maxTotalBytes,
+      ttlHours: CACHE_LIMITS.ttlMs / (60 * 60 * 1000),
+      entries: entries.map(({ url, mimetype, filename, size, createdAt, lastUsedAt }) => ({
+        url,
+        mimetype,
+        filename,
+        size,
+        createdAt: new Date(createdAt),
+        lastUsedAt: new Date(lastUsedAt)
+      }))
+    };
+  }
+
+  // 🧹 EMPTY THE CACHE
+  async clear() {
+    const entries = await this.getEntries();
+    for (const key of [...entries.keys()]) {
+      await this.remove(key);
+    }
+    console.log('🧹 Media cache cleared');
+    return { success: true };
+  }
+
+  // 🧹 DROP EXPIRED FILES, THEN LEAST RECENTLY USED ONES UNTIL UNDER THE SIZE LIMIT
+  // Uploads a queued send may still need are never dropped, even if that leaves the cache over its limit
+  async prune() {
+    const entries = await this.getEntries();
+    const now = Date.now();
+    const uploadsInUse = await this.getProtectedUploads(entries);
+    const canRemove = entry => !(entry.url.startsWith(UPLOAD_PREFIX) && uploadsInUse.has(entry.url));
+
+    for (const [key, entry] of entries) {
+      if (now - entry.createdAt >= CACHE_LIMITS.ttlMs && canRemove(entry)) {
+        await this.remove(key);
+      }
+    }
+
+    let totalBytes = [...entries.values()].reduce((total, entry) => total + entry.size, 0);
+    const byLastUse = [...entries.entries()]
+      .filter(([, entry]) => canRemove(entry))
+      .sort((a, b) => a[1].lastUsedAt - b[1].lastUsedAt);
+    for (const [key, entry] of byLastUse) {
+      if (totalBytes <= CACHE_LIMITS.maxTotalBytes) break;
+      await this.remove(key);
+      totalBytes -= entry.size;
+    }
+  }
+
+  // 🔧 UTILITY: Cached uploads that queued sends still need
+  // When that can't be checked, every upload is kept rather than risk losing one
+  async getProtectedUploads(entries) {
+    const uploads = [...entries.values()].filter(entry => entry.url.startsWith(UPLOAD_PREFIX)).map(entry => entry.url);
+    if (uploads.length === 0) {
+      return new Set();
+    }
+
+    try {
+      return new Set(await this.getMediaInUse());
+    } catch (error) {
+      console.error('❌ Error checking which uploads are still queued, keeping them all:', error);
+      return new Set(uploads);
+    }
+  }
+
+  async hasFile(key) {
+    try {
+      await fs.promises.access(path.join(this.cacheDir, key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async remove(key) {
+    (await this.getEntries()).delete(key);
+    await fs.promises.rm(path.join(this.cacheDir, key), { force: true });
+    await fs.promises.rm(path.join(this.cacheDir, `${key}.json`), { force: true });
+  }
+
+  // 🔧 UTILITY: Index of cached files, read from disk on first use
+  async getEntries() {
+    if (this.entries) {
+      return this.entries;
+    }
+
+    this.entries = new Map();
+    try {
+      const files = await fs.promises.readdir(this.cacheDir);
+      for (const file of files.filter(name => name.endsWith('.json'))) {
+        try {
+          const entry = JSON.parse(await fs.promises.readFile(path.join(this.cacheDir, file), 'utf8'));
+          this.entries.set(entry.file, entry);
+        } catch (error) {
+          console.log(`⚠️ Skipping unreadable media cache entry ${file}`);
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('❌ Error reading media cache:', error);
+      }
+    }
+    return this.entries;
+  }
+
+  getKey(url) {
+    return crypto.createHash('sha256').update(url).digest('hex');
+  }
+
+  getMaxUploadBytes() {
+    return Math.max(WHATSAPP_MAX_BYTES.media, WHATSAPP_MAX_BYTES.document);
+  }
+
+  getMaxBytes(mimetype) {
+    return /^(image|video|audio)\//.test(mimetype) ? WHATSAPP_MAX_BYTES.media : WHATSAPP_MAX_BYTES.document;
+  }
+
+  // 🔧 UTILITY: Name from Content-Disposition, else the last part of the URL path
+  getFilename(url, contentDisposition) {
+    const match = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(contentDisposition || '');
+    if (match) {
+      return decodeURIComponent(match[1]);
+    }
+    try {
+      return decodeURIComponent(path.basename(new URL(url).pathname)) || 'file';
+    } catch (error) {
+      return 'file';
+    }
+  }
+
+  tooLargeError(url, size, maxBytes) {
+    const error = new Error(`Media is too large for WhatsApp (${(size / MB).toFixed(1)} MB, limit ${maxBytes / MB} MB): ${url}`);
+    error.code = 'MEDIA_TOO_LARGE';
+    return error;
+  }
+}
+
+module.exports = MediaCacheService;
+module.exports.MEDIA_KINDS = Object.keys(MEDIA_KINDS);
@@ -0,0 +1,402 @@
+const admin = require('firebase-admin');
+const ContentSharingService = require('./contentSharingService');
+const { truncate } = require('./textUtils');
+
+// Statuses the worker still has to (finish) process
+const ACTIVE_STATUSES = ['pending', 'processing'];
+
+// Transient failures are retried after 5s, 10s, 20s...
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 5000;
+
+class MessageQueueService {
+  constructor(whatsappService) {
+    this.whatsappService = whatsappService;
+    this.contentSharingService = new ContentSharingService();
+    this.collectionName = 'whatsapp_campaigns'; // each queued job is one campaign
+    this.isRunning = false;
+    this.isProcessing = false;
+    this.resumeTimer = null;
+    this.interruptedStep = null; // { jobId, index, delivered } of a step that stopped partway, see runJob
+  }
+
+  getCollection() {
+    return this.whatsappService.getDatabase().collection(this.collectionName);
+  }
+
+  // ➕ ADD CAMPAIGN TO QUEUE
+  async enqueue(job) {
+    try {
+      const steps = this.buildSteps(job);
+      if (steps.length === 0) {
+        throw new Error('Nothing to send: no recipients selected');
+      }
+
+      const queuedJob = {
+        name: job.name || this.getDefaultName(job),
+        kind: job.kind,
+        message: job.message || null,
+        templateId: job.templateId || null,
+        variables: job.variables || {},
+        contentRefs: job.contentRefs || [],
+        contactIds: job.contactIds || [],
+        groupIds: job.groupIds || [],
+        delaySeconds: job.delaySeconds || 0,
+        mediaMode: job.kind === 'share' ? job.mediaMode || 'text' : null,
+        locationPins: job.kind === 'share' ? job.locationPins !== false : null,
+        rsvp: job.kind === 'share' ? job.rsvp === true : null,
+        skipShared: job.kind === 'share' ? job.skipShared === true : null,
+        media: job.media || null,
+        scheduleId: job.scheduleId || null,
+        status: 'pending',
+        cursor: 0,
+        total: steps.length,
+        counts: { success: 0, failed: 0, suppressed: 0, skipped: 0 },
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      const docRef = await this.getCollection().add(queuedJob);
+      console.log(`📥 Campaign queued: ${docRef.id} (${job.kind}, ${steps.length} sends)`);
+
+      // Wake the worker without holding the caller
+      this.process();
+
+      return { success: true, campaignId: docRef.id, status: 'pending', total: steps.length };
+    } catch (error) {
+      console.error('❌ Error queueing job:', error);
+      throw error;
+    }
+  }
+
+  // ▶️ START WORKER (called once WhatsApp is ready)
+  start() {
+    this.isRunning = true;
+    console.log('▶️ Queue worker started');
+    this.process();
+  }
+
+  // ⏹️ STOP WORKER (jobs stay in Firestore and resume on next start)
+  stop() {
+    if (this.resumeTimer) {
+      clearTimeout(this.resumeTimer);
+      this.resumeTimer = null;
+    }
+    if (this.isRunning) {
+      this.isRunning = false;
+      console.log('⏹️ Queue worker stopped');
+    }
+  }
+
+  // 🔁 DRAIN QUEUE ONE JOB AT A TIME
+  async process() {
+    if (this.isProcessing || !this.isRunning) {
+      return;
+    }
+
+    this.isProcessing = true;
+    try {
+      while (this.canSend()) {
+        const job = await this.getNextJob();
+        if (!job) break;
+        await this.runJob(job);
+      }
+
+      // Daily cap reached: unfinished jobs keep their cursor until the day rolls over
+      const { rateLimiter } = this.whatsappService;
+      if (this.isRunning && rateLimiter.isDailyLimitReached()) {
+        console.log('🚦 Daily send limit reached, queue resumes tomorrow');
+        this.scheduleResume(rateLimiter.getNextDayStart());
+      }
+    } catch (error) {
+      console.error('❌ Queue worker error:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  canSend() {
+    return this.isRunning &&
+      this.whatsappService.isWhatsAppConnected() &&
+      !this.whatsappService.rateLimiter.isDailyLimitReached();
+  }
+
+  // 🔎 OLDEST UNFINISHED JOB (interrupted jobs first, then by creation time)
+  async getNextJob() {
+    const snapshot = await this.getCollection()
+      .where('status', 'in', ACTIVE_STATUSES)
+      .get();
+
+    if (snapshot.empty) {
+      return null;
+    }
+
+    const jobs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    jobs.sort((a, b) => {
+      if (a.status !== b.status) {
+        return a.status === 'processing' ? -1 : 1;
+      }
+      return (a.createdAt?.toMillis?.() || 0) - (b.createdAt?.toMillis?.() || 0);
+    });
+
+    return jobs[0];
+  }
+
+  // 🏃 RUN JOB FROM ITS SAVED CURSOR
+  async runJob(job) {
+    const jobRef = this.getCollection().doc(job.id);
+    const steps = this.buildSteps(job);
+
+    try {
+      console.log(`🏃 Running job ${job.id} from ${job.cursor}/${steps.length}`);
+
+      await jobRef.update({
+        status: 'processing',
+        counts: job.counts || { success: 0, failed: 0, suppressed: 0, skipped: 0 },
+        startedAt: job.startedAt || admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      job.status = 'processing';
+
+      const content = job.kind === 'share'
+        ? await Promise.all(job.contentRefs.map(ref =>
+          this.contentSharingService.getContentItem(ref.type, ref.id)))
+        : [];
+      const message = job.templateId
+        ? await this.whatsappService.templates.createRenderer(job.templateId, job.variables)
+        : job.message;
+
+      for (let i = job.cursor; i < steps.length; i++) {
+        if (!this.canSend()) {
+          console.log(`⏸️ Job ${job.id} interrupted at ${i}/${steps.length}, will resume later`);
+          return;
+        }
+
+        // Paused or cancelled from the admin panel since the last recipient
+        const status = await this.whatsappService.campaigns.getStatus(job.id);
+        if (status !== 'processing') {
+          console.log(`⏸️ Job ${job.id} stopped at ${i}/${steps.length} (${status})`);
+          return;
+        }
+
+        const step = steps[i];
+        const delivered = this.takeDelivered(job.id, i);
+        const outcome = await this.runStepWithRetry(job, step, { content, message, delivered });
+
+        // A lost connection or the daily cap is not the recipient's fault: retry this step later,
+        // resuming after what it already delivered (e.g. the members of a group without a WhatsApp chat)
+        if (outcome.status === 'failed' && !this.canSend()) {
+          console.log(`⏸️ Sending stopped during job ${job.id}, step ${i} will be resumed`);
+          this.interruptedStep = { jobId: job.id, index: i, delivered };
+          return;
+        }
+
+        await this.whatsappService.campaigns.recordResult(job, i, outcome);
+        if (outcome.status === 'failed') {
+          await this.whatsappService.deadLetters.addEntry(job, step, i, outcome);
+        }
+        await this.addMemberFailures(job, step, i, outcome);
+
+        const delaySeconds = this.getStepDelay(job, step, steps[i + 1]);
+        if (delaySeconds > 0) {
+          console.log(`⏳ Waiting ${delaySeconds} seconds...`);
+          await new Promise(resolve => setTimeout(resolve, delaySeconds * 1000));
+        }
+      }
+
+      // Cancelled while the last recipient was being sent
+      if (await this.whatsappService.campaigns.getStatus(job.id) !== 'processing') {
+        return;
+      }
+
+      await this.whatsappService.campaigns.finishCampaign(job.id, 'completed');
+      console.log(`✅ Job ${job.id} completed`);
+    } catch (error) {
+      console.error(`❌ Job ${job.id} failed:`, error);
+      await this.whatsappService.campaigns.finishCampaign(job.id, 'failed', error.message);
+    }
+  }
+
+  // 🔁 SEND A STEP, RETRYING TRANSIENT FAILURES WITH EXPONENTIAL BACKOFF
+  // A retry resumes after the messages earlier attempts delivered (a location pin, parts of a split message)
+  async runStepWithRetry(job, step, payload) {
+    let outcome;
+    let retries = 0;
+
+    for (;;) {
+      outcome = await this.runStep(job, step, payload);
+      if (outcome.status === 'success' || !outcome.transient || !this.canSend() || retries >= MAX_RETRIES) {
+        break;
+      }
+
+      const delayMs = RETRY_BASE_DELAY_MS * 2 ** retries;
+      retries++;
+      console.log(`🔁 Retry ${retries}/${MAX_RETRIES} for ${step.targetType} ${step.targetId} in ${delayMs / 1000}s (${outcome.details.error})`);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+
+    outcome.details.attempts = retries + 1;
+    return outcome;
+  }
+
+  // 🔧 UTILITY: Messages a step already delivered (`${chatId}#${n}` -> message, see deliverOne)
+  // Kept when sending stopped partway through the step, so resuming it doesn't send them again
+  takeDelivered(jobId, index) {
+    const interrupted = this.interruptedStep;
+    this.interruptedStep = null;
+    return interrupted && interrupted.jobId === jobId && interrupted.index === index
+      ? interrupted.delivered
+      : new Map();
+  }
+
+  // 📤 SEND A SINGLE STEP
+  async runStep(job, step, { content, message, delivered = new Map() }) {
+    const target = { targetType: step.targetType, targetId: step.targetId };
+    const context = { campaignId: job.id, progress: { delivered, sent: new Map() } };
+
+    try {
+      let result;
+      if (job.kind === 'share') {
+        const item = content[step.contentIndex];
+        Object.assign(target, { contentId: item.id, contentType: item.type });
+
+        // Already received in an earlier share (or before this job was interrupted); a group without a
+        // WhatsApp chat still goes to the members who don't have it yet
+        let skipChats = new Set();
+        if (job.skipShared) {
+          const shared = await this.whatsappService.shareHistory.getReceived(item.type, item.id, step.targetType, step.targetId);
+          if (shared.received) {
+            return { status: 'skipped', details: target };
+          }
+          skipChats = shared.skipChats;
+        }
+
+        result = await this.contentSharingService.shareItemToTarget(
+          this.whatsappService, item, step.targetType, step.targetId,
+          { ...context, contentId: item.id, contentType: item.type, skipChats },
+          { mediaMode: job.mediaMode, locationPins: job.locationPins, rsvp: job.rsvp }
+        );
+      } else if (job.kind === 'media') {
+        result = step.targetType === 'group'
+          ? await this.whatsappService.sendMediaToGroup(step.targetId, job.media.url, job.media, context)
+          : await this.whatsappService.sendMediaToContact(step.targetId, job.media.url, job.media, context);
+      } else if (step.targetType === 'group') {
+        result = await this.whatsappService.sendToGroup(step.targetId, message, context);
+      } else {
+        result = await this.whatsappService.sendToContact(step.targetId, message, context);
+      }
+
+      // Opted-out recipients are skipped, not failed
+      if (result.suppressed === true) {
+        return { status: 'suppressed', details: target };
+      }
+
+      // Group sends report per-member results instead of throwing
+      if (step.targetType === 'group' && result.success.length === 0) {
+        if (result.failed.length > 0) {
+          return this.toFailure(target, { message: result.failed[0].error });
+        }
+        if (result.suppressed.length > 0) {
+          return { status: 'suppressed', details: { ...target, suppressed: result.suppressed.length } };
+        }
+        if (result.skipped?.length > 0) {
+          return { status: 'skipped', details: target };
+        }
+      }
+
+      if (result.suppressed?.length > 0) {
+        target.suppressed = result.suppressed.length;
+      }
+      if (result.skipped?.length > 0) {
+        target.skipped = result.skipped.length;
+      }
+
+      // Members a group without a WhatsApp chat could not reach are failures of their own
+      if (step.targetType === 'group' && result.failed.length > 0) {
+        target.failedMembers = result.failed.map(member => ({
+          contactId: member.contactId || null,
+          contact: member.contact,
+          error: member.error
+        }));
+      }
+
+      return { status: 'success', details: target };
+    } catch (error) {
+      return this.toFailure(target, error);
+    }
+  }
+
+  // ☠️ PARK EACH GROUP MEMBER THE STEP COULD NOT REACH, SO IT CAN BE RETRIED ON ITS OWN
+  async addMemberFailures(job, step, stepIndex, outcome) {
+    for (const member of outcome.details.failedMembers || []) {
+      if (!member.contactId) {
+        continue;
+      }
+
+      const memberStep = { ...step, targetType: 'contact', targetId: member.contactId, groupId: step.targetId };
+      await this.whatsappService.deadLetters.addEntry(job, memberStep, stepIndex, {
+        ...this.toFailure({ targetType: 'contact', targetId: member.contactId }, { message: member.error }),
+        details: { error: member.error, attempts: outcome.details.attempts }
+      });
+    }
+  }
+
+  toFailure(target, error) {
+    return {
+      status: 'failed',
+      transient: this.whatsappService.isTransientError(error),
+      details: { ...target, error: error.message }
+    };
+  }
+
+  // 🔧 UTILITY: Readable campaign name when none is given
+  getDefaultName(job) {
+    if (job.kind === 'share') {
+      return `Share: ${(job.contentRefs || []).length} content item(s)`;
+    }
+    if (job.kind === 'media') {
+      const caption = (job.media?.caption || '').trim();
+      return caption ? `Media (${job.media.kind}): ${truncate(caption, 40)}` : `Media (${job.media?.kind})`;
+    }
+    const text = (job.message || '').trim();
+    return truncate(text, 40) || 'Message';
+  }
+
+  // 🔧 UTILITY: Expand a job into its ordered list of sends
+  buildSteps(job) {
+    const targets = [
+      ...(job.contactIds || []).map(id => ({ targetType: 'contact', targetId: id })),
+      ...(job.groupIds || []).map(id => ({ targetType: 'group', targetId: id }))
+    ];
+
+    if (job.kind === 'share') {
+      return (job.contentRefs || []).flatMap((ref, contentIndex) =>
+        targets.map(target => ({ ...target, contentIndex })));
+    }
+
+    return targets;
+  }
+
+  // 🔧 UTILITY: Extra pause requested between shared content items
+  // (per-message pacing is handled by the rate limiter)
+  getStepDelay(job, step, nextStep) {
+    if (!nextStep || job.kind !== 'share') {
+      return 0;
+    }
+    return nextStep.contentIndex !== step.contentIndex ? job.delaySeconds : 0;
+  }
+
+  // ⏰ WAKE THE WORKER AGAIN LATER
+  scheduleResume(resumeAt) {
+    if (this.resumeTimer) {
+      clearTimeout(this.resumeTimer);
+    }
+    const delayMs = Math.max(resumeAt.getTime() - Date.now(), 1000);
+    this.resumeTimer = setTimeout(() => {
+      this.resumeTimer = null;
+      this.process();
+    }, delayMs);
+  }
+}
+
+module.exports = MessageQueueService;
@@ -0,0 +1,176 @@
+const admin = require('firebase-admin');
+const { normalizeSearchText } = require('./textUtils');
+
+// A reply that is exactly one of these (ignoring case, punctuation and spacing) opts the sender out / back in;
+// only words that can't be about something else, so e.g. "cancel" or "إلغاء" on its own doesn't opt anyone out
+const STOP_KEYWORDS = ['stop', 'unsubscribe', 'إلغاء الاشتراك', 'توقف', 'إيقاف'];
+const START_KEYWORDS = ['start', 'subscribe', 'اشتراك'];
+
+const STOP_CONFIRMATION = 'You have been unsubscribed and will not receive further messages from us. Reply START to subscribe again.\n\n' +
+  'تم إلغاء اشتراكك ولن تصلك رسائل منا بعد الآن. أرسل "اشتراك" لإعادة الاشتراك.';
+const START_CONFIRMATION = 'You are subscribed again. Reply STOP at any time to unsubscribe.\n\n' +
+  'تمت إعادة اشتراكك. أرسل "توقف" في أي وقت لإيقاف الرسائل.';
+
+class OptOutService {
+  constructor(whatsappService) {
+    this.whatsappService = whatsappService;
+    this.collectionName = 'whatsapp_opt_outs';
+    this.numbers = null; // cached set of opted-out numbers
+  }
+
+  getCollection() {
+    return this.whatsappService.getDatabase().collection(this.collectionName);
+  }
+
+  // 🛑 HANDLE STOP / START REPLIES (returns true when the message was one)
+  async handleIncoming(msg, incoming = {}) {
+    try {
+      if (!msg.from.endsWith('@c.us') || !msg.body) {
+        return false;
+      }
+
+      const text = this.normalizeReply(msg.body);
+      const number = this.getNumber(msg.from);
+      const contactId = incoming.contact?.id || null;
+
+      if (STOP_KEYWORDS.some(keyword => this.normalizeReply(keyword) === text)) {
+        if (await this.isOptedOut(number)) {
+          return true;
+        }
+        await this.addNumber(number, { reason: 'reply', keyword: msg.body.trim(), contactId });
+        await this.confirm(msg.from, STOP_CONFIRMATION, contactId);
+        return true;
+      }
+
+      if (START_KEYWORDS.some(keyword => this.normalizeReply(keyword) === text) && await this.isOptedOut(number)) {
+        await this.removeNumber(number);
+        await this.confirm(msg.from, START_CONFIRMATION, contactId);
+        return true;
+      }
+
+      return false;
+    } catch (error) {
+      console.error('❌ Error handling opt-out reply:', error);
+      return false;
+    }
+  }
+
+  // 🔧 UTILITY: Reply text compared with the keywords ("STOP." and " stop! " are both "stop")
+  normalizeReply(text) {
+    return normalizeSearchText(text).replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  }
+
+  // 🔍 IS THIS NUMBER / CHAT ID ON THE DO-NOT-MESSAGE LIST?
+  async isOptedOut(numberOrChatId) {
+    const numbers = await this.getNumbers();
+    return numbers.has(this.getNumber(numberOrChatId));
+  }
+
+  // 📋 LIST OPTED-OUT NUMBERS
+  async getEntries() {
+    try {
+      const snapshot = await this.getCollection().get();
+      const entries = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+      entries.sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+      return entries;
+    } catch (error) {
+      console.error('❌ Error getting opt-outs:', error);
+      throw error;
+    }
+  }
+
+  // ➕ ADD A CONTACT OR PHONE NUMBER FROM THE ADMIN PANEL
+  async addEntry({ contactId, phone, note = '' }) {
+    try {
+      let number;
+      if (contactId) {
+        const contactDoc = await this.whatsappService.getDatabase()
+          .collection('whatsapp_contacts').doc(contactId).get();
+        if (!contactDoc.exists) {
+          throw new Error('Contact not found');
+        }
+        number = this.whatsappService.formatPhoneNumber(contactDoc.data().phone);
+      } else {
+        number = this.whatsappService.formatPhoneNumber(phone);
+      }
+
+      await this.addNumber(number, { reason: 'admin', contactId: contactId || null, note });
+      return { success: true, number };
+    } catch (error) {
+      console.error('❌ Error adding opt-out:', error);
+      throw error;
+    }
+  }
+
+  // ➖ REMOVE A NUMBER (the contact can be messaged again)
+  // Accepts the number in any form the contacts use (e.g. local "70123456"), like addEntry
+  async removeEntry(numberOrChatId) {
+    try {
+      const number = this.whatsappService.formatPhoneNumber(this.getNumber(numberOrChatId));
+      if (!(await this.getCollection().doc(number).get()).exists) {
+        const error = new Error(`${number} is not on the opt-out list`);
+        error.code = 'NOT_FOUND';
+        throw error;
+      }
+
+      await this.removeNumber(number);
+      return { success: true, number };
+    } catch (error) {
+      console.error('❌ Error removing opt-out:', error);
+      throw error;
+    }
+  }
+
+  async addNumber(number, { reason, keyword = null, contactId = null, note = '' }) {
+    await this.getCollection().doc(number).set({
+      number,
+      reason,
+      keyword,
+      contactId,
+      note,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    (await this.getNumbers()).add(number);
+    console.log(`🛑 ${number} opted out (${reason})`);
+    this.whatsappService.io.emit('opt-out', { number, optedOut: true, reason });
+  }
+
+  async removeNumber(number) {
+    await this.getCollection().doc(number).delete();
+
+    (await this.getNumbers()).delete(number);
+    console.log(`✅ ${number} removed from opt-out list`);
+    this.whatsappService.io.emit('opt-out', { number, optedOut: false });
+  }
+
+  // 📨 CONFIRM THE CHANGE TO THE SENDER (allowed even though they just opted out)
+  async confirm(chatId, text, contactId) {
+    try {
+      const sentMessage = await this.whatsappService.deliver(chatId, text, {}, {
+        contactId,
+        allowOptedOut: true
+      });
+      await this.whatsappService.inbox.recordOutgoing(chatId, sentMessage, text);
+    } catch (error) {
+      console.error('❌ Error sending opt-out confirmation:', error);
+    }
+  }
+
+  // 🔧 UTILITY: Opted-out numbers, loaded once and kept in step with changes
+  async getNumbers() {
+    if (!this.numbers) {
+      const snapshot = await this.getCollection().get();
+      this.numbers = new Set(snapshot.docs.map(doc => doc.id));
+    }
+    return this.numbers;
+  }
+
+  // 🔧 UTILITY: "96170123456@c.us" -> "96170123456"
+  getNumber(numberOrChatId) {
+    return String(numberOrChatId || '').split('@')[0];
+  }
+}
+
+module.exports = OptOutService;
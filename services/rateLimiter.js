@@ -0,0 +1,200 @@
+// Limits can be tuned per deployment through the environment
+const DEFAULT_LIMITS = {
+  minDelayMs: Number(process.env.RATE_LIMIT_MIN_DELAY_MS) || 3000,
+  jitterMs: Number(process.env.RATE_LIMIT_JITTER_MS) || 2000,
+  perMinute: Number(process.env.RATE_LIMIT_PER_MINUTE) || 12,
+  perHour: Number(process.env.RATE_LIMIT_PER_HOUR) || 200,
+  perDay: Number(process.env.RATE_LIMIT_PER_DAY) || 1000,
+  warmupDays: Number(process.env.RATE_LIMIT_WARMUP_DAYS) || 7,
+  warmupPerDay: Number(process.env.RATE_LIMIT_WARMUP_PER_DAY) || 50,
+  maxBackoffMultiplier: 16,
+  cooldownAfterFailures: 5,
+  cooldownMs: 5 * 60 * 1000
+};
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+class RateLimiter {
+  constructor(whatsappService, limits = {}) {
+    this.whatsappService = whatsappService;
+    this.limits = { ...DEFAULT_LIMITS, ...limits };
+    this.collectionName = 'whatsapp_rate_limits';
+
+    this.numberId = null;
+    this.firstSeenAt = new Date();
+    this.day = this.getDayKey();
+    this.dayCount = 0;
+    this.recentSends = []; // timestamps within the last hour
+    this.lastSendAt = 0;
+    this.consecutiveFailures = 0;
+    this.cooldownUntil = 0;
+    this.queue = Promise.resolve(); // serializes callers
+  }
+
+  getDocument() {
+    return this.whatsappService.getDatabase()
+      .collection(this.collectionName)
+      .doc(this.numberId || 'default');
+  }
+
+  // 🔄 LOAD PERSISTED COUNTERS FOR THE LINKED NUMBER
+  async init(numberId) {
+    try {
+      this.numberId = numberId;
+      const doc = await this.getDocument().get();
+      const data = doc.exists ? doc.data() : {};
+
+      this.firstSeenAt = data.firstSeenAt?.toDate?.() || new Date();
+      this.day = this.getDayKey();
+      this.dayCount = data.day === this.day ? data.dayCount || 0 : 0;
+
+      if (!data.firstSeenAt) {
+        await this.getDocument().set({ firstSeenAt: this.firstSeenAt }, { merge: true });
+        console.log(`🐣 New number ${numberId}: warm-up limits apply for ${this.limits.warmupDays} days`);
+      }
+
+      console.log(`🚦 Rate limiter ready: ${this.dayCount}/${this.getDailyCap()} sends today`);
+    } catch (error) {
+      console.error('❌ Error loading rate limiter state:', error);
+    }
+  }
+
+  // 🎟️ WAIT FOR A SEND SLOT (throws once the daily cap is reached)
+  acquire() {
+    const slot = this.queue.then(() => this.waitForSlot());
+    this.queue = slot.catch(() => {});
+    return slot;
+  }
+
+  async waitForSlot() {
+    for (;;) {
+      this.rollDay();
+
+      if (this.isDailyLimitReached()) {
+        const error = new Error(`Daily send limit reached (${this.getDailyCap()}). Sending resumes tomorrow.`);
+        error.code = 'RATE_LIMITED';
+        error.retryAt = this.getNextDayStart();
+        throw error;
+      }
+
+      const waitMs = this.getWaitMs();
+      if (waitMs <= 0) break;
+
+      console.log(`🚦 Rate limit: waiting ${Math.ceil(waitMs / 1000)} seconds...`);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+
+    const now = Date.now();
+    this.lastSendAt = now;
+    this.recentSends.push(now);
+    this.dayCount++;
+    await this.saveDayCount();
+  }
+
+  // ✅ SEND WENT THROUGH
+  recordSuccess() {
+    this.consecutiveFailures = 0;
+  }
+
+  // ❌ SEND FAILED: slow down, and pause completely after repeated failures
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    console.log(`🐢 Send failure #${this.consecutiveFailures}, backing off (${error.message})`);
+
+    if (this.consecutiveFailures >= this.limits.cooldownAfterFailures) {
+      this.cooldownUntil = Date.now() + this.limits.cooldownMs;
+      console.log(`🧊 Too many failures, pausing sends until ${new Date(this.cooldownUntil).toLocaleTimeString()}`);
+    }
+  }
+
+  isDailyLimitReached() {
+    this.rollDay();
+    return this.dayCount >= this.getDailyCap();
+  }
+
+  // 📊 CURRENT LIMITER STATE
+  getStatus() {
+    this.rollDay();
+    const now = Date.now();
+    return {
+      numberId: this.numberId,
+      warmingUp: this.isWarmingUp(),
+      sentToday: this.dayCount,
+      dailyCap: this.getDailyCap(),
+      sentLastMinute: this.recentSends.filter(time => time > now - MINUTE).length,
+      perMinute: this.limits.perMinute,
+      sentLastHour: this.recentSends.filter(time => time > now - HOUR).length,
+      perHour: this.limits.perHour,
+      consecutiveFailures: this.consecutiveFailures,
+      cooldownUntil: this.cooldownUntil > now ? new Date(this.cooldownUntil) : null
+    };
+  }
+
+  // 🔧 UTILITY: Milliseconds until the next send is allowed
+  getWaitMs() {
+    const now = Date.now();
+    this.recentSends = this.recentSends.filter(time => time > now - HOUR);
+
+    const waits = [this.cooldownUntil - now, this.lastSendAt + this.getDelayMs() - now];
+
+    const lastMinute = this.recentSends.filter(time => time > now - MINUTE);
+    if (lastMinute.length >= this.limits.perMinute) {
+      waits.push(lastMinute[0] + MINUTE - now);
+    }
+    if (this.recentSends.length >= this.limits.perHour) {
+      waits.push(this.recentSends[0] + HOUR - now);
+    }
+
+    return Math.max(...waits);
+  }
+
+  // 🔧 UTILITY: Gap between sends with jitter, slower while warming up or failing
+  getDelayMs() {
+    const backoff = Math.min(2 ** this.consecutiveFailures, this.limits.maxBackoffMultiplier);
+    const warmup = this.isWarmingUp() ? 2 : 1;
+    return this.limits.minDelayMs * backoff * warmup + Math.random() * this.limits.jitterMs;
+  }
+
+  // 🔧 UTILITY: Daily cap doubles each day of warm-up until it reaches the normal cap
+  getDailyCap() {
+    if (!this.isWarmingUp()) {
+      return this.limits.perDay;
+    }
+    const daysLinked = Math.floor((Date.now() - this.firstSeenAt.getTime()) / DAY);
+    return Math.min(this.limits.perDay, this.limits.warmupPerDay * 2 ** daysLinked);
+  }
+
+  isWarmingUp() {
+    return Date.now() - this.firstSeenAt.getTime() < this.limits.warmupDays * DAY;
+  }
+
+  rollDay() {
+    const day = this.getDayKey();
+    if (day !== this.day) {
+      this.day = day;
+      this.dayCount = 0;
+    }
+  }
+
+  getDayKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  getNextDayStart() {
+    const next = new Date();
+    next.setUTCHours(24, 0, 0, 0);
+    return next;
+  }
+
+  async saveDayCount() {
+    try {
+      await this.getDocument().set({ day: this.day, dayCount: this.dayCount }, { merge: true });
+    } catch (error) {
+      console.error('❌ Error saving rate limiter counters:', error);
+    }
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,190 @@
+const admin = require('firebase-admin');
+
+// whatsapp-web.js MessageAck values
+const ACK_STATUSES = {
+  '-1': 'failed',
+  0: 'pending',
+  1: 'sent',
+  2: 'delivered',
+  3: 'read',
+  4: 'read' // played (voice notes / videos)
+};
+
+// Receipts only ever move forward, except for a late failure
+const STATUS_RANK = { pending: 0, sent: 1, delivered: 2, read: 3, failed: 4 };
+
+// Acks that can arrive before the sent message is saved
+const MAX_EARLY_ACKS = 500;
+
+class ReceiptService {
+  constructor(whatsappService) {
+    this.whatsappService = whatsappService;
+    this.collectionName = 'whatsapp_messages';
+    this.earlyAcks = new Map();
+  }
+
+  getCollection() {
+    return this.whatsappService.getDatabase().collection(this.collectionName);
+  }
+
+  // 💾 SAVE OUTBOUND MESSAGE WITH ITS RECIPIENT AND CAMPAIGN
+  async recordSent(sentMessage, chatId, context = {}) {
+    try {
+      const messageId = sentMessage?.id?._serialized;
+      if (!messageId) {
+        return null;
+      }
+
+      await this.getCollection().doc(messageId).set({
+        messageId,
+        chatId,
+        campaignId: context.campaignId || null,
+        contactId: context.contactId || null,
+        groupId: context.groupId || null,
+        contentId: context.contentId || null,
+        contentType: context.contentType || null,
+        status: 'sent',
+        statusHistory: [{ status: 'sent', at: admin.firestore.Timestamp.now() }],
+        sentAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      if (context.campaignId) {
+        await this.updateCampaignReceipts(context.campaignId, null, 'sent');
+      }
+
+      // Apply an ack that raced ahead of this write
+      if (this.earlyAcks.has(messageId)) {
+        const ack = this.earlyAcks.get(messageId);
+        this.earlyAcks.delete(messageId);
+        await this.recordAck(messageId, ack);
+      }
+
+      return messageId;
+    } catch (error) {
+      console.error('❌ Error recording sent message:', error);
+      return null;
+    }
+  }
+
+  // ✔️ RECORD A message_ack UPDATE
+  async recordAck(messageId, ack) {
+    try {
+      const status = ACK_STATUSES[ack];
+      if (!status) {
+        return;
+      }
+
+      const docRef = this.getCollection().doc(messageId);
+      const change = await this.whatsappService.getDatabase().runTransaction(async transaction => {
+        const doc = await transaction.get(docRef);
+        if (!doc.exists) {
+          return { missing: true };
+        }
+
+        const message = doc.data();
+        if (STATUS_RANK[status] <= STATUS_RANK[message.status]) {
+          return null;
+        }
+
+        transaction.update(docRef, {
+          status,
+          statusHistory: admin.firestore.FieldValue.arrayUnion({ status, at: admin.firestore.Timestamp.now() }),
+          [`${status}At`]: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return { from: message.status, campaignId: message.campaignId };
+      });
+
+      if (change?.missing) {
+        this.rememberEarlyAck(messageId, ack);
+        return;
+      }
+      if (!change) {
+        return;
+      }
+
+      if (change.campaignId) {
+        await this.updateCampaignReceipts(change.campaignId, change.from, status);
+      }
+
+      this.whatsappService.io.emit('message-status', {
+        messageId,
+        campaignId: change.campaignId,
+        status
+      });
+    } catch (error) {
+      console.error('❌ Error recording message ack:', error);
+    }
+  }
+
+  // 🔎 GET MESSAGE STATUS AND HISTORY
+  async getMessage(messageId) {
+    try {
+      const doc = await this.getCollection().doc(messageId).get();
+      if (!doc.exists) {
+        throw new Error('Message not found');
+      }
+      return { id: doc.id, ...doc.data() };
+    } catch (error) {
+      console.error('❌ Error getting message:', error);
+      throw error;
+    }
+  }
+
+  // 📊 RECEIPTS FOR A CAMPAIGN (totals plus every message)
+  async getCampaignReceipts(campaignId) {
+    try {
+      const snapshot = await this.getCollection().where('campaignId', '==', campaignId).get();
+      const messages = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+      const counts = { pending: 0, sent: 0, delivered: 0, read: 0, failed: 0 };
+      messages.forEach(message => {
+        counts[message.status] = (counts[message.status] || 0) + 1;
+      });
+
+      const total = messages.length;
+      return {
+        campaignId,
+        total,
+        counts,
+        // A read message was also delivered
+        delivered: counts.delivered + counts.read,
+        read: counts.read,
+        readRate: total ? Math.round((counts.read / total) * 100) : 0,
+        messages
+      };
+    } catch (error) {
+      console.error('❌ Error getting campaign receipts:', error);
+      throw error;
+    }
+  }
+
+  // 🔧 UTILITY: Keep the campaign's receipt counters in step with message statuses
+  async updateCampaignReceipts(campaignId, fromStatus, toStatus) {
+    try {
+      const updateData = {
+        [`receipts.${toStatus}`]: admin.firestore.FieldValue.increment(1)
+      };
+      if (fromStatus) {
+        updateData[`receipts.${fromStatus}`] = admin.firestore.FieldValue.increment(-1);
+      }
+
+      await this.whatsappService.campaigns.getCollection().doc(campaignId).update(updateData);
+    } catch (error) {
+      console.error('❌ Error updating campaign receipts:', error);
+    }
+  }
+
+  rememberEarlyAck(messageId, ack) {
+    const previous = this.earlyAcks.get(messageId);
+    this.earlyAcks.set(messageId, previous === undefined || ack === -1 ? ack : Math.max(previous, ack));
+
+    // Acks for messages we never sent (e.g. from the phone) would otherwise pile up
+    if (this.earlyAcks.size > MAX_EARLY_ACKS) {
+      this.earlyAcks.delete(this.earlyAcks.keys().next().value);
+    }
+  }
+}
+
+module.exports = ReceiptService;
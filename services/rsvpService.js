@@ -0,0 +1,185 @@
+const admin = require('firebase-admin');
+const { Poll } = require('whatsapp-web.js');
+const { DEFAULT_LANGUAGE } = require('./contentSharingService');
+
+// Poll options, in the order they appear in WhatsApp (localId = index)
+const RSVP_OPTIONS = [
+  { answer: 'attending', labels: { en: 'Attending ✅', ar: 'سأحضر ✅' } },
+  { answer: 'maybe', labels: { en: 'Maybe 🤔', ar: 'ربما 🤔' } },
+  { answer: 'notAttending', labels: { en: 'Not attending ❌', ar: 'لن أحضر ❌' } }
+];
+
+// Poll question per language
+const RSVP_QUESTIONS = {
+  en: name => `Will you attend "${name}"?`,
+  ar: name => `هل ستحضر "${name}"؟`
+};
+
+class RsvpService {
+  constructor(whatsappService) {
+    this.whatsappService = whatsappService;
+    this.pollsCollectionName = 'whatsapp_rsvp_polls';
+    this.votesCollectionName = 'whatsapp_rsvps';
+  }
+
+  getPollsCollection() {
+    return this.whatsappService.getDatabase().collection(this.pollsCollectionName);
+  }
+
+  getVotesCollection() {
+    return this.whatsappService.getDatabase().collection(this.votesCollectionName);
+  }
+
+  // 🗳️ SEND AN RSVP POLL FOR AN ACTIVITY TO A CONTACT OR GROUP
+  // The question and options are in the recipient's language, like the shared content (see ContentSharingService)
+  async sendPoll(activity, targetType, targetId, context = {}) {
+    try {
+      const name = activity.nameAr || activity.nameEn;
+      const poll = recipient => this.createPoll(activity, recipient?.language || DEFAULT_LANGUAGE);
+
+      const result = targetType === 'group'
+        ? await this.whatsappService.sendToGroup(targetId, poll, context)
+        : await this.whatsappService.sendToContact(targetId, poll, context);
+
+      // A group without a WhatsApp chat gets one poll per member
+      const messageIds = targetType === 'group'
+        ? result.success.map(sent => sent.messageId)
+        : [result.messageId].filter(Boolean);
+
+      const batch = this.whatsappService.getDatabase().batch();
+      messageIds.forEach(messageId => {
+        batch.set(this.getPollsCollection().doc(messageId), {
+          activityId: activity.id,
+          activityName: name,
+          targetType,
+          targetId,
+          campaignId: context.campaignId || null,
+          options: RSVP_OPTIONS.map((option, localId) => ({ localId, ...option })),
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+      await batch.commit();
+
+      console.log(`🗳️ RSVP poll for ${name} sent to ${targetType} ${targetId}`);
+      return result;
+    } catch (error) {
+      console.error('❌ Error sending RSVP poll:', error);
+      throw error;
+    }
+  }
+
+  // ✔️ RECORD A vote_update (a vote with no options means it was withdrawn)
+  async recordVote(vote) {
+    try {
+      const pollMessageId = vote.parentMessage?.id?._serialized || vote.parentMsgKey?._serialized;
+      if (!pollMessageId) {
+        return;
+      }
+
+      const pollDoc = await this.getPollsCollection().doc(pollMessageId).get();
+      if (!pollDoc.exists) {
+        return; // Not one of our RSVP polls
+      }
+
+      const poll = pollDoc.data();
+      const voter = vote.voter;
+      const voteRef = this.getVotesCollection().doc(`${poll.activityId}_${voter.split('@')[0]}`);
+
+      const selected = vote.selectedOptions || [];
+      if (selected.length === 0) {
+        await voteRef.delete();
+        console.log(`🗳️ RSVP withdrawn by ${voter} for ${poll.activityName}`);
+        this.whatsappService.io.emit('rsvp-update', { activityId: poll.activityId, voter, answer: null });
+        return;
+      }
+
+      const option = poll.options.find(candidate => candidate.localId === selected[0].localId);
+      const contact = await this.whatsappService.inbox.findContactByChatId(voter);
+
+      await voteRef.set({
+        activityId: poll.activityId,
+        activityName: poll.activityName,
+        pollMessageId,
+        voter,
+        contactId: contact?.id || null,
+        contactName: contact?.name || null,
+        answer: option?.answer || null,
+        label: selected[0].name || option?.label || null,
+        votedAt: admin.firestore.Timestamp.fromMillis(vote.interractedAtTs || Date.now())
+      });
+
+      console.log(`🗳️ RSVP from ${contact?.name || voter} for ${poll.activityName}: ${option?.answer}`);
+      this.whatsappService.io.emit('rsvp-update', {
+        activityId: poll.activityId,
+        voter,
+        contactId: contact?.id || null,
+        answer: option?.answer || null
+      });
+    } catch (error) {
+      console.error('❌ Error recording RSVP vote:', error);
+    }
+  }
+
+  // 🗳️ POLL IN ONE LANGUAGE, OR BOTH ('both' puts Arabic first, as the content does)
+  createPoll(activity, language) {
+    const contentSharingService = this.whatsappService.contentSharingService;
+    const languages = contentSharingService.getContentLanguages(activity, language);
+
+    const question = languages
+      .map(lang => RSVP_QUESTIONS[lang](contentSharingService.getLocalizedField(activity, 'name', lang)))
+      .join('\n');
+    return new Poll(question, RSVP_OPTIONS.map(option => languages.map(lang => option.labels[lang]).join(' / ')));
+  }
+
+  // 📊 ATTENDANCE TALLY FOR ONE ACTIVITY
+  async getTally(activityId) {
+    try {
+      const snapshot = await this.getVotesCollection().where('activityId', '==', activityId).get();
+      return this.buildTally(activityId, snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    } catch (error) {
+      console.error('❌ Error getting RSVP tally:', error);
+      throw error;
+    }
+  }
+
+  // 📊 ATTENDANCE TALLY FOR EVERY ACTIVITY WITH VOTES
+  async getTallies() {
+    try {
+      const snapshot = await this.getVotesCollection().get();
+
+      const votesByActivity = new Map();
+      snapshot.docs.forEach(doc => {
+        const vote = { id: doc.id, ...doc.data() };
+        if (!votesByActivity.has(vote.activityId)) {
+          votesByActivity.set(vote.activityId, []);
+        }
+        votesByActivity.get(vote.activityId).push(vote);
+      });
+
+      return [...votesByActivity.entries()].map(([activityId, votes]) => {
+        const { votes: _, ...tally } = this.buildTally(activityId, votes);
+        return tally;
+      });
+    } catch (error) {
+      console.error('❌ Error getting RSVP tallies:', error);
+      throw error;
+    }
+  }
+
+  buildTally(activityId, votes) {
+    const counts = Object.fromEntries(RSVP_OPTIONS.map(option => [option.answer, 0]));
+    votes.forEach(vote => {
+      if (vote.answer in counts) counts[vote.answer]++;
+    });
+
+    return {
+      activityId,
+      activityName: votes[0]?.activityName || null,
+      total: votes.length,
+      counts,
+      votes
+    };
+  }
+}
+
+module.exports = RsvpService;
@@ -0,0 +1,339 @@
+const admin = require('firebase-admin');
+
+// Supported repeat intervals for recurring schedules, in calendar days
+const REPEAT_INTERVALS = {
+  daily: 1,
+  weekly: 7
+};
+
+// Repeats keep their time of day in this timezone unless the schedule names its own
+const DEFAULT_TIMEZONE = process.env.SCHEDULE_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// How often due schedules are checked
+const TICK_INTERVAL = 30 * 1000;
+
+// A run that can't be queued is retried on the next checks, then given up
+const MAX_RUN_ATTEMPTS = 5;
+
+class SchedulerService {
+  constructor(whatsappService) {
+    this.whatsappService = whatsappService;
+    this.collectionName = 'whatsapp_schedules';
+    this.tickInterval = null;
+    this.isTicking = false;
+  }
+
+  getCollection() {
+    return this.whatsappService.getDatabase().collection(this.collectionName);
+  }
+
+  // ▶️ START CHECKING FOR DUE SCHEDULES
+  start() {
+    if (this.tickInterval) {
+      clearInterval(this.tickInterval);
+    }
+
+    this.tickInterval = setInterval(() => this.tick(), TICK_INTERVAL);
+    console.log('⏰ Scheduler started (30-second checks)');
+  }
+
+  // ⏹️ STOP SCHEDULER
+  stop() {
+    if (this.tickInterval) {
+      clearInterval(this.tickInterval);
+      this.tickInterval = null;
+      console.log('⏹️ Scheduler stopped');
+    }
+  }
+
+  // ➕ CREATE SCHEDULE
+  async createSchedule({ kind, name, runAt, repeat = null, timezone = DEFAULT_TIMEZONE, whenDisconnected = 'defer', job }) {
+    try {
+      const runDate = new Date(runAt);
+      if (isNaN(runDate.getTime())) {
+        throw new Error('Invalid run date');
+      }
+      if (repeat && !REPEAT_INTERVALS[repeat]) {
+        throw new Error(`Unsupported repeat: ${repeat}. Use one of: ${Object.keys(REPEAT_INTERVALS).join(', ')}`);
+      }
+      if (!this.isValidTimezone(timezone)) {
+        throw new Error(`Unknown timezone: ${timezone}`);
+      }
+      if (!['defer', 'skip'].includes(whenDisconnected)) {
+        throw new Error('whenDisconnected must be "defer" or "skip"');
+      }
+
+      const schedule = {
+        kind,
+        name: name || null,
+        job,
+        repeat,
+        timezone,
+        whenDisconnected,
+        status: 'scheduled',
+        runAt: admin.firestore.Timestamp.fromDate(runDate),
+        nextRunAt: admin.firestore.Timestamp.fromDate(runDate),
+        runCount: 0,
+        failedAttempts: 0,
+        missedRuns: [],
+        lastRunAt: null,
+        lastCampaignId: null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      const docRef = await this.getCollection().add(schedule);
+      console.log(`🗓️ Schedule created: ${docRef.id} (${kind}, ${runDate.toISOString()}${repeat ? `, ${repeat}` : ''})`);
+
+      return { success: true, id: docRef.id, ...schedule };
+    } catch (error) {
+      console.error('❌ Error creating schedule:', error);
+      throw error;
+    }
+  }
+
+  // 📋 LIST SCHEDULES
+  async getSchedules() {
+    try {
+      const snapshot = await this.getCollection().get();
+      const schedules = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+      schedules.sort((a, b) => (a.nextRunAt?.toMillis?.() || 0) - (b.nextRunAt?.toMillis?.() || 0));
+      return schedules;
+    } catch (error) {
+      console.error('❌ Error getting schedules:', error);
+      throw error;
+    }
+  }
+
+  // 📎 MEDIA URLS SCHEDULES YET TO RUN WILL SEND
+  async getMediaInUse() {
+    const snapshot = await this.getCollection()
+      .where('status', 'in', ['scheduled', 'deferred'])
+      .get();
+
+    return new Set(snapshot.docs
+      .map(doc => doc.data().job?.media?.url)
+      .filter(Boolean));
+  }
+
+  // 🛑 CANCEL SCHEDULE
+  async cancelSchedule(scheduleId) {
+    try {
+      const docRef = this.getCollection().doc(scheduleId);
+      const doc = await docRef.get();
+      if (!doc.exists) {
+        throw new Error('Schedule not found');
+      }
+
+      await docRef.update({
+        status: 'cancelled',
+        cancelledAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      console.log(`🛑 Schedule cancelled: ${scheduleId}`);
+      return { success: true, id: scheduleId, status: 'cancelled' };
+    } catch (error) {
+      console.error('❌ Error cancelling schedule:', error);
+      throw error;
+    }
+  }
+
+  // 🔁 RUN EVERY DUE SCHEDULE
+  async tick() {
+    if (this.isTicking) {
+      return;
+    }
+
+    this.isTicking = true;
+    try {
+      const now = new Date();
+      const snapshot = await this.getCollection()
+        .where('status', 'in', ['scheduled', 'deferred'])
+        .get();
+
+      const due = snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(schedule => schedule.nextRunAt.toDate() <= now);
+
+      for (const schedule of due) {
+        await this.runSchedule(schedule, now);
+      }
+    } catch (error) {
+      console.error('❌ Scheduler tick failed:', error);
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  // 🚀 RUN ONE DUE SCHEDULE (or defer / miss it while disconnected)
+  async runSchedule(schedule, now) {
+    const docRef = this.getCollection().doc(schedule.id);
+    const dueAt = schedule.nextRunAt.toDate();
+
+    try {
+      if (!this.whatsappService.isWhatsAppConnected()) {
+        const nextOccurrence = schedule.repeat ? this.getNextRunAt(dueAt, schedule, dueAt) : null;
+
+        // Skipping is requested, or the next repetition has already caught up with this one
+        if (schedule.whenDisconnected === 'skip' || (nextOccurrence && nextOccurrence <= now)) {
+          await this.markMissed(schedule, dueAt, now);
+        } else if (schedule.status !== 'deferred') {
+          await docRef.update({
+            status: 'deferred',
+            deferredAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+          console.log(`⏸️ Schedule ${schedule.id} deferred: WhatsApp is not connected`);
+          this.whatsappService.io.emit('schedule-deferred', { scheduleId: schedule.id, dueAt });
+        }
+        return;
+      }
+
+      const result = await this.whatsappService.queue.enqueue({
+        ...schedule.job,
+        kind: schedule.kind,
+        name: schedule.name || undefined,
+        scheduleId: schedule.id
+      });
+
+      const updateData = {
+        lastRunAt: admin.firestore.FieldValue.serverTimestamp(),
+        lastCampaignId: result.campaignId,
+        runCount: admin.firestore.FieldValue.increment(1),
+        failedAttempts: 0,
+        lastError: admin.firestore.FieldValue.delete(),
+        deferredAt: admin.firestore.FieldValue.delete()
+      };
+
+      if (schedule.repeat) {
+        updateData.status = 'scheduled';
+        updateData.nextRunAt = admin.firestore.Timestamp.fromDate(this.getNextRunAt(dueAt, schedule, now));
+      } else {
+        updateData.status = 'completed';
+      }
+
+      await docRef.update(updateData);
+      console.log(`🚀 Schedule ${schedule.id} ran: campaign ${result.campaignId}`);
+    } catch (error) {
+      console.error(`❌ Error running schedule ${schedule.id}:`, error);
+      await this.recordFailedAttempt(schedule, dueAt, now, error);
+    }
+  }
+
+  // ❌ RECORD A RUN THAT COULD NOT BE QUEUED
+  // After MAX_RUN_ATTEMPTS a one-off schedule fails and a repeating one moves on to its next run
+  async recordFailedAttempt(schedule, dueAt, now, error) {
+    const docRef = this.getCollection().doc(schedule.id);
+    const attempts = (schedule.failedAttempts || 0) + 1;
+
+    try {
+      if (attempts < MAX_RUN_ATTEMPTS) {
+        await docRef.update({ lastError: error.message, failedAttempts: attempts });
+        return;
+      }
+
+      const updateData = {
+        lastError: error.message,
+        failedAttempts: 0,
+        deferredAt: admin.firestore.FieldValue.delete()
+      };
+      if (schedule.repeat) {
+        updateData.status = 'scheduled';
+        updateData.nextRunAt = admin.firestore.Timestamp.fromDate(this.getNextRunAt(dueAt, schedule, now));
+        updateData.missedRuns = admin.firestore.FieldValue.arrayUnion(admin.firestore.Timestamp.fromDate(dueAt));
+      } else {
+        updateData.status = 'failed';
+        updateData.failedAt = admin.firestore.FieldValue.serverTimestamp();
+      }
+
+      await docRef.update(updateData);
+      console.log(`❌ Schedule ${schedule.id} gave up on its ${dueAt.toISOString()} run after ${attempts} attempts`);
+      this.whatsappService.io.emit('schedule-failed', { scheduleId: schedule.id, dueAt, error: error.message });
+    } catch (updateError) {
+      console.error(`❌ Error recording failed run of schedule ${schedule.id}:`, updateError);
+    }
+  }
+
+  // ⚠️ RECORD A MISSED RUN
+  async markMissed(schedule, dueAt, now) {
+    const updateData = {
+      missedRuns: admin.firestore.FieldValue.arrayUnion(admin.firestore.Timestamp.fromDate(dueAt)),
+      deferredAt: admin.firestore.FieldValue.delete()
+    };
+
+    if (schedule.repeat) {
+      updateData.status = 'scheduled';
+      updateData.nextRunAt = admin.firestore.Timestamp.fromDate(this.getNextRunAt(dueAt, schedule, now));
+    } else {
+      updateData.status = 'missed';
+    }
+
+    await this.getCollection().doc(schedule.id).update(updateData);
+    console.log(`⚠️ Schedule ${schedule.id} missed its ${dueAt.toISOString()} run: WhatsApp is not connected`);
+    this.whatsappService.io.emit('schedule-missed', { scheduleId: schedule.id, dueAt });
+  }
+
+  // 🔧 UTILITY: First repetition after now (and after `dueAt`), keeping the time of day of the first run in the
+  // schedule's timezone. Counted from the first run, so a time skipped by a DST change doesn't shift later runs
+  getNextRunAt(dueAt, schedule, now) {
+    const timezone = this.getTimezone(schedule);
+    const firstRun = schedule.runAt?.toDate?.() || dueAt;
+    const days = REPEAT_INTERVALS[schedule.repeat];
+    const after = Math.max(dueAt.getTime(), now.getTime());
+
+    let repeats = Math.max(1, Math.floor((after - firstRun.getTime()) / (days * 24 * 60 * 60 * 1000)));
+    let next = this.addDays(firstRun, repeats * days, timezone);
+    while (next.getTime() <= after) {
+      repeats++;
+      next = this.addDays(firstRun, repeats * days, timezone);
+    }
+    return next;
+  }
+
+  // 🔧 UTILITY: Same wall-clock time some calendar days later, so DST changes don't shift it
+  addDays(date, days, timezone) {
+    const parts = this.getZonedParts(date, timezone);
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day + days,
+      parts.hour, parts.minute, parts.second, date.getUTCMilliseconds());
+
+    // The zone's offset at the result can differ from the one at `date`: correct with the offset found there
+    let utc = wallClock - this.getOffset(new Date(wallClock), timezone);
+    utc = wallClock - this.getOffset(new Date(utc), timezone);
+    return new Date(utc);
+  }
+
+  // 🔧 UTILITY: Milliseconds the timezone is ahead of UTC at a moment
+  getOffset(date, timezone) {
+    const parts = this.getZonedParts(date, timezone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - (date.getTime() - date.getUTCMilliseconds());
+  }
+
+  getZonedParts(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(date);
+    return Object.fromEntries(parts.filter(part => part.type !== 'literal').map(part => [part.type, Number(part.value)]));
+  }
+
+  getTimezone(schedule) {
+    return schedule.timezone || DEFAULT_TIMEZONE;
+  }
+
+  isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = SchedulerService;
@@ -0,0 +1,103 @@
+const admin = require('firebase-admin');
+
+class ShareHistoryService {
+  constructor(whatsappService) {
+    this.whatsappService = whatsappService;
+    this.collectionName = 'whatsapp_share_history'; // one entry per chat a content item was delivered to
+  }
+
+  getCollection() {
+    return this.whatsappService.getDatabase().collection(this.collectionName);
+  }
+
+  // 📝 LOG A DELIVERED SHARE
+  // `result` is the main message's send result; a group without a WhatsApp chat logs one entry per member
+  async recordShare(item, targetType, targetId, result, context = {}) {
+    try {
+      const sends = targetType === 'group'
+        ? result.success.map(sent => ({ chatId: sent.chatId, messageId: sent.messageId, contactId: sent.contactId || null, groupId: targetId }))
+        : [{ chatId: result.chatId, messageId: result.messageId, contactId: targetId, groupId: null }];
+
+      const batch = this.whatsappService.getDatabase().batch();
+      sends.forEach(send => {
+        batch.set(this.getCollection().doc(), {
+          contentId: item.id,
+          contentType: item.type,
+          contentName: item.nameAr || item.nameEn || item.titleAr || item.titleEn || null,
+          targetType,
+          targetId,
+          ...send,
+          campaignId: context.campaignId || null,
+          sharedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+      await batch.commit();
+    } catch (error) {
+      console.error(`❌ Error logging share of ${item.type} ${item.id}:`, error);
+    }
+  }
+
+  // 🔎 HAS THIS CONTACT OR GROUP ALREADY RECEIVED THE ITEM?
+  // A contact counts as having it when it reached them directly or as a member of a group without a WhatsApp chat.
+  // Such a group is checked member by member: `skipChats` holds the chats of members who already have it
+  // (directly or through another group), and `received` is true only once every member has it
+  async getReceived(contentType, contentId, targetType, targetId) {
+    const snapshot = await this.getCollection().where('contentId', '==', contentId).get();
+    const entries = snapshot.docs.map(doc => doc.data()).filter(entry => entry.contentType === contentType);
+
+    if (targetType !== 'group') {
+      return { received: entries.some(entry => entry.contactId === targetId), skipChats: new Set() };
+    }
+
+    const groupDoc = await this.whatsappService.getDatabase().collection('whatsapp_groups').doc(targetId).get();
+    const group = groupDoc.exists ? groupDoc.data() : {};
+    if (group.whatsappGroupId || !group.contacts?.length) {
+      return { received: entries.some(entry => entry.groupId === targetId), skipChats: new Set() };
+    }
+
+    const contactIds = new Set(entries.map(entry => entry.contactId).filter(Boolean));
+    const chatIds = new Set(entries.map(entry => entry.chatId));
+    const members = group.contacts.map(member => ({
+      id: member.id,
+      chatId: member.phone ? `${this.whatsappService.formatPhoneNumber(member.phone)}@c.us` : null
+    }));
+    const skipChats = new Set(members
+      .filter(member => member.chatId && (contactIds.has(member.id) || chatIds.has(member.chatId)))
+      .map(member => member.chatId));
+
+    return { received: members.every(member => skipChats.has(member.chatId)), skipChats };
+  }
+
+  // 📜 HISTORY OF ONE CONTENT ITEM (newest first)
+  async getContentHistory(contentType, contentId, { limit = 100 } = {}) {
+    try {
+      const snapshot = await this.getCollection().where('contentId', '==', contentId).get();
+      return this.toEntries(snapshot.docs.filter(doc => doc.data().contentType === contentType), limit);
+    } catch (error) {
+      console.error('❌ Error getting content share history:', error);
+      throw error;
+    }
+  }
+
+  // 📜 HISTORY OF ONE CONTACT OR GROUP (newest first)
+  async getTargetHistory(targetType, targetId, { limit = 100 } = {}) {
+    try {
+      const snapshot = await this.getCollection()
+        .where(targetType === 'group' ? 'groupId' : 'contactId', '==', targetId)
+        .get();
+      return this.toEntries(snapshot.docs, limit);
+    } catch (error) {
+      console.error('❌ Error getting target share history:', error);
+      throw error;
+    }
+  }
+
+  toEntries(docs, limit) {
+    return docs
+      .map(doc => ({ id: doc.id, ...doc.data(), sharedAt: doc.data().sharedAt?.toDate?.() || null }))
+      .sort((a, b) => (b.sharedAt?.getTime() || 0) - (a.sharedAt?.getTime() || 0))
+      .slice(0, limit);
+  }
+}
+
+module.exports = ShareHistoryService;
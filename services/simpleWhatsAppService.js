@@ -4,6 +4,25 @@ const { getDb } = require('../config/firebase');
 const admin = require('firebase-admin');
 const fs = require('fs');
 const path = require('path');
+const MessageQueueService = require('./messageQueueService');
+const CampaignService = require('./campaignService');
+const SchedulerService = require('./schedulerService');
+const TemplateService = require('./templateService');
+const RateLimiter = require('./rateLimiter');
+const DeadLetterService = require('./deadLetterService');
+const IdempotencyService = require('./idempotencyService');
+const ReceiptService = require('./receiptService');
+const InboxService = require('./inboxService');
+const AutoReplyService = require('./autoReplyService');
+const OptOutService = require('./optOutService');
+const MediaCacheService = require('./mediaCacheService');
+const RsvpService = require('./rsvpService');
+const ShareHistoryService = require('./shareHistoryService');
+const AnalyticsService = require('./analyticsService');
+const AutoBroadcastService = require('./autoBroadcastService');
+const LiveNewsService = require('./liveNewsService');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('./contentSharingService');
+const { TEXT_LIMITS, splitMessage } = require('./textUtils');
 
 class SimpleWhatsAppService {
   constructor(io) {
@@ -31,6 +50,43 @@ class SimpleWhatsAppService {
       this.db = null;
     }
     
+    // Outbound queue worker (runs only while connected) and its campaigns
+    this.queue = new MessageQueueService(this);
+    this.campaigns = new CampaignService(this);
+
+    // Content sharing and its message formats (the same instance the queue worker sends with)
+    this.contentSharingService = this.queue.contentSharingService;
+    this.formats = this.contentSharingService.formats;
+
+    this.templates = new TemplateService(this);
+    this.deadLetters = new DeadLetterService(this);
+    this.idempotency = new IdempotencyService(this);
+    this.receipts = new ReceiptService(this);
+    this.inbox = new InboxService(this);
+    this.autoReplies = new AutoReplyService(this);
+    this.optOuts = new OptOutService(this);
+    this.mediaCache = new MediaCacheService({ getMediaInUse: () => this.getMediaInUse() });
+    this.rsvps = new RsvpService(this);
+    this.shareHistory = new ShareHistoryService(this);
+    this.analytics = new AnalyticsService(this);
+    
+    // Shared pacing for every outbound message
+    this.rateLimiter = new RateLimiter(this);
+    
+    // Scheduled campaigns (checked even while disconnected so missed runs are recorded)
+    this.scheduler = new SchedulerService(this);
+    
+    // New news/activities shared by auto-broadcast rules (queued while disconnected)
+    this.broadcasts = new AutoBroadcastService(this);
+    
+    // Follow-ups (updates, closing message) for shared live news
+    this.liveNews = new LiveNewsService(this);
+    if (this.db) {
+      this.scheduler.start();
+      this.broadcasts.start();
+      this.liveNews.start();
+    }
+    
     // Create auth directory
     this.authDir = path.join(__dirname, '../auth_sessions');
     if (!fs.existsSync(this.authDir)) {
@@ -129,7 +185,11 @@ class SimpleWhatsAppService {
         this.reconnectAttempts = 0; // ✅ Reset counter on successful connection
         
         await this.saveSessionToFirebase();
+        await this.rateLimiter.init(this.client.info?.wid?.user || this.sessionId);
         this.startKeepAlive();
+        this.queue.start(); // Resume any queued sends
+        this.scheduler.tick(); // Run schedules deferred while disconnected
+        this.liveNews.tick(); // Follow up on live news edited or ended while disconnected
         this.io.emit('whatsapp-ready');
       });
 
@@ -138,6 +198,7 @@ class SimpleWhatsAppService {
         console.log('📱 WhatsApp disconnected:', reason);
         this.isConnected = false;
         this.isConnecting = false;
+        this.queue.stop();
         
         await this.updateSessionStatus('disconnected', reason);
         
@@ -148,11 +209,29 @@ class SimpleWhatsAppService {
         });
       });
 
+      // Incoming messages
+      this.client.on('message', async (msg) => {
+        await this.handleIncomingMessage(msg);
+      });
+
+      // Votes on RSVP polls
+      this.client.on('vote_update', async (vote) => {
+        await this.rsvps.recordVote(vote);
+      });
+
+      // Delivery / read receipts for messages we sent
+      this.client.on('message_ack', async (msg, ack) => {
+        if (msg.fromMe) {
+          await this.receipts.recordAck(msg.id._serialized, ack);
+        }
+      });
+
       // Auth failure event
       this.client.on('auth_failure', async (msg) => {
         console.error('❌ WhatsApp auth failed:', msg);
         this.isConnected = false;
         this.isConnecting = false;
+        this.queue.stop();
         
         await this.clearSessionFromFirebase();
         
@@ -202,6 +281,25 @@ class SimpleWhatsAppService {
     }
   }
 
+  // 📥 HANDLE INCOMING MESSAGE
+  async handleIncomingMessage(msg) {
+    try {
+      const incoming = await this.inbox.handleIncoming(msg);
+      if (!incoming) {
+        return;
+      }
+
+      // STOP / START replies are handled here and never reach the bot
+      if (await this.optOuts.handleIncoming(msg, incoming)) {
+        return;
+      }
+
+      await this.autoReplies.handleIncoming(msg, incoming);
+    } catch (error) {
+      console.error('❌ Error handling incoming message:', error);
+    }
+  }
+
   // 💾 SAVE SESSION TO FIREBASE
   async saveSessionToFirebase() {
     try {
@@ -325,8 +423,12 @@ class SimpleWhatsAppService {
   }
 
   // ➕ ADD CONTACT MANUALLY
-  async addContact(name, phone, email = '') {
+  async addContact(name, phone, email = '', customFields = {}, language = DEFAULT_LANGUAGE) {
     try {
+      if (!LANGUAGES.includes(language)) {
+        throw new Error(`Language must be one of: ${LANGUAGES.join(', ')}`);
+      }
+
       // Clean phone number
       const cleanPhone = phone.replace(/\D/g, '');
       if (cleanPhone.length < 10) {
@@ -346,6 +448,8 @@ class SimpleWhatsAppService {
         name: name.trim(),
         phone: cleanPhone,
         email: email.trim(),
+        customFields,
+        language,
         syncedFromWhatsApp: false,
         createdAt: admin.firestore.FieldValue.serverTimestamp()
       };
@@ -360,6 +464,28 @@ class SimpleWhatsAppService {
     }
   }
 
+  // 🌐 SET CONTACT LANGUAGE (what shared content is sent in)
+  async setContactLanguage(contactId, language) {
+    try {
+      if (!LANGUAGES.includes(language)) {
+        throw new Error(`Language must be one of: ${LANGUAGES.join(', ')}`);
+      }
+
+      const docRef = this.db.collection('whatsapp_contacts').doc(contactId);
+      const doc = await docRef.get();
+      if (!doc.exists) {
+        throw new Error('Contact not found');
+      }
+
+      await docRef.update({ language });
+      console.log(`🌐 Contact ${contactId} language set to ${language}`);
+      return { success: true, id: contactId, language };
+    } catch (error) {
+      console.error('❌ Error setting contact language:', error);
+      throw error;
+    }
+  }
+
   // 🗑️ DELETE CONTACT
   async deleteContact(contactId) {
     try {
@@ -435,8 +561,12 @@ class SimpleWhatsAppService {
   }
 
   // ➕ CREATE REAL WHATSAPP GROUP
-  async createGroup(groupName, contactIds) {
+  async createGroup(groupName, contactIds, language = DEFAULT_LANGUAGE) {
     try {
+      if (!LANGUAGES.includes(language)) {
+        throw new Error(`Language must be one of: ${LANGUAGES.join(', ')}`);
+      }
+
       if (!this.isWhatsAppConnected()) {
         throw new Error('WhatsApp is not connected. Please connect first.');
       }
@@ -475,6 +605,7 @@ class SimpleWhatsAppService {
         contacts: contacts,
         whatsappGroupId: whatsappGroup.gid._serialized, // Save real WhatsApp group ID
         whatsappInviteCode: whatsappGroup.inviteCode || null,
+        language,
         createdAt: admin.firestore.FieldValue.serverTimestamp()
       };
       
@@ -495,6 +626,28 @@ class SimpleWhatsAppService {
     }
   }
 
+  // 🌐 SET GROUP LANGUAGE (members without their own language use it too)
+  async setGroupLanguage(groupId, language) {
+    try {
+      if (!LANGUAGES.includes(language)) {
+        throw new Error(`Language must be one of: ${LANGUAGES.join(', ')}`);
+      }
+
+      const docRef = this.db.collection('whatsapp_groups').doc(groupId);
+      const doc = await docRef.get();
+      if (!doc.exists) {
+        throw new Error('Group not found');
+      }
+
+      await docRef.update({ language });
+      console.log(`🌐 Group ${groupId} language set to ${language}`);
+      return { success: true, id: groupId, language };
+    } catch (error) {
+      console.error('❌ Error setting group language:', error);
+      throw error;
+    }
+  }
+
   // 🗑️ DELETE GROUP
   async deleteGroup(groupId) {
     try {
@@ -508,7 +661,8 @@ class SimpleWhatsAppService {
   }
 
   // 📤 SEND MESSAGE TO SINGLE CONTACT (WITH AUTO-RECONNECT)
-  async sendToContact(contactId, message) {
+  // `message` can be text, a per-recipient function or MessageMedia; `options` go to sendMessage (e.g. caption)
+  async sendToContact(contactId, message, context = {}, options = {}) {
     try {
       if (!this.isWhatsAppConnected()) {
         throw new Error('WhatsApp is not connected. Please connect first.');
@@ -529,12 +683,20 @@ class SimpleWhatsAppService {
       
       try {
         console.log(`📱 Sending message to ${chatId}...`);
-        await this.client.sendMessage(chatId, message);
+        const sentMessage = await this.deliver(chatId, this.resolveMessage(message, contact), this.resolveOptions(options, contact), {
+          ...context,
+          contactId
+        });
         console.log(`✅ Message sent successfully to ${contact.name}`);
         
-        return { success: true, contact };
+        return { success: true, contact, chatId, messageId: sentMessage.id._serialized };
         
       } catch (sendError) {
+        if (sendError.code === 'SUPPRESSED') {
+          console.log(`🛑 ${contact.name} has opted out, message suppressed`);
+          return { success: false, suppressed: true, contact };
+        }
+        
         console.error(`❌ Send failed for ${contact.name}:`, sendError.message);
         
         // Check if it's a session/connection error
@@ -544,6 +706,11 @@ class SimpleWhatsAppService {
           throw new Error(`Connection lost. Please reconnect WhatsApp.`);
         }
         
+        // Give a clear reason when the number simply has no WhatsApp account
+        if (!this.isTransientError(sendError) && !(await this.isRegisteredNumber(chatId))) {
+          throw new Error(`Number is not on WhatsApp: ${contact.phone}`);
+        }
+        
         throw new Error(`Message send failed: ${sendError.message}`);
       }
       
@@ -553,6 +720,93 @@ class SimpleWhatsAppService {
     }
   }
 
+  // 📨 SEND THROUGH THE SHARED RATE LIMITER (every outbound message goes here)
+  // `context` ({ campaignId, contactId, groupId, contentId, ... }) is saved with the message ID for receipts
+  // Opted-out numbers are refused with a SUPPRESSED error unless `context.allowOptedOut` is set
+  // Text over WhatsApp's length limit goes out as numbered parts (the first part's message is returned),
+  // and a caption too long for its media follows the media as text
+  // `context.progress` (set by the queue for each step) lets a retried step skip what an earlier attempt delivered
+  async deliver(chatId, content, options = {}, context = {}) {
+    if (!context.allowOptedOut && chatId.endsWith('@c.us') && await this.optOuts.isOptedOut(chatId)) {
+      const error = new Error(`${chatId.split('@')[0]} has opted out of messages`);
+      error.code = 'SUPPRESSED';
+      throw error;
+    }
+
+    if (typeof content === 'string' && content.length > TEXT_LIMITS.message) {
+      const parts = splitMessage(content, TEXT_LIMITS.message);
+      console.log(`📑 Message to ${chatId} is ${content.length} characters, sending it in ${parts.length} parts`);
+
+      const { quotedMessageId, ...partOptions } = options;
+      const firstMessage = await this.deliverOne(chatId, parts[0], options, context);
+      for (const part of parts.slice(1)) {
+        await this.deliverOne(chatId, part, partOptions, context);
+      }
+      return firstMessage;
+    }
+
+    if (typeof options.caption === 'string' && options.caption.length > TEXT_LIMITS.caption) {
+      console.log(`📑 Caption to ${chatId} is ${options.caption.length} characters, sending it after the media`);
+
+      const { caption, ...mediaOptions } = options;
+      const mediaMessage = await this.deliverOne(chatId, content, mediaOptions, context);
+      for (const part of splitMessage(caption, TEXT_LIMITS.message)) {
+        await this.deliverOne(chatId, part, {}, context);
+      }
+      return mediaMessage;
+    }
+
+    return await this.deliverOne(chatId, content, options, context);
+  }
+
+  // 🔧 UTILITY: Send one message. Within a queued step, messages are numbered per chat in the order they are
+  // sent, which a retry repeats, so one an earlier attempt delivered is returned instead of sent again
+  async deliverOne(chatId, content, options, context) {
+    const { progress } = context;
+    let key = null;
+    if (progress) {
+      const index = progress.sent.get(chatId) || 0;
+      progress.sent.set(chatId, index + 1);
+
+      key = `${chatId}#${index}`;
+      if (progress.delivered.has(key)) {
+        console.log(`⏭️ Message ${index + 1} to ${chatId} was delivered by an earlier attempt, not sending it again`);
+        return progress.delivered.get(key);
+      }
+    }
+
+    await this.rateLimiter.acquire();
+
+    // The connection may have dropped while waiting for a slot
+    if (!this.isWhatsAppConnected()) {
+      throw new Error('WhatsApp is not connected. Please connect first.');
+    }
+
+    try {
+      const sentMessage = await this.client.sendMessage(chatId, content, options);
+      this.rateLimiter.recordSuccess();
+      progress?.delivered.set(key, sentMessage);
+      await this.receipts.recordSent(sentMessage, chatId, context);
+      return sentMessage;
+    } catch (error) {
+      this.rateLimiter.recordFailure(error);
+      throw error;
+    }
+  }
+
+  // 🔧 UTILITY: Rethrow errors that stop all sending (daily cap, lost connection) instead of recording them
+  // against one recipient; a connection error disconnects like in sendToContact
+  async checkSendingStopped(error) {
+    if (error.code === 'RATE_LIMITED' || !this.isWhatsAppConnected()) {
+      throw error;
+    }
+    if (this.isConnectionError(error)) {
+      console.log(`🔄 Connection error detected. Triggering reconnection...`);
+      await this.handleConnectionError();
+      throw new Error(`Connection lost. Please reconnect WhatsApp.`);
+    }
+  }
+
   // 🔍 CHECK IF ERROR IS CONNECTION-RELATED
   isConnectionError(error) {
     const connectionErrorMessages = [
@@ -570,6 +824,31 @@ class SimpleWhatsAppService {
     );
   }
 
+  // 🔍 CHECK IF ERROR IS WORTH RETRYING (connection drops and timeouts)
+  isTransientError(error) {
+    const timeoutMessages = [
+      'timeout',
+      'timed out',
+      'ETIMEDOUT',
+      'ESOCKETTIMEDOUT',
+      'ECONNRESET',
+      'socket hang up'
+    ];
+    
+    return this.isConnectionError(error) || timeoutMessages.some(msg => 
+      error.message.toLowerCase().includes(msg.toLowerCase())
+    );
+  }
+
+  // 🔍 CHECK IF A CHAT ID BELONGS TO A WHATSAPP ACCOUNT
+  async isRegisteredNumber(chatId) {
+    try {
+      return await this.client.isRegisteredUser(chatId);
+    } catch (error) {
+      return true; // Unknown: don't blame the number
+    }
+  }
+
   // 🔄 HANDLE CONNECTION ERRORS
   async handleConnectionError() {
     try {
@@ -578,6 +857,7 @@ class SimpleWhatsAppService {
       this.isConnected = false;
       this.isConnecting = false;
       this.stopKeepAlive();
+      this.queue.stop();
       
       this.io.emit('whatsapp-disconnected', { 
         reason: 'Connection lost',
@@ -603,46 +883,11 @@ class SimpleWhatsAppService {
     }
   }
 
-  // 📤 SEND MESSAGE TO MULTIPLE CONTACTS (IMPROVED)
-  async sendToContacts(contactIds, message) {
+  // 📤 QUEUE MESSAGE TO MULTIPLE CONTACTS
+  async sendToContacts(contactIds, message, options = {}) {
     try {
-      if (!this.isWhatsAppConnected()) {
-        throw new Error('WhatsApp is not connected. Please connect first.');
-      }
-
-      console.log(`📤 Starting bulk send to ${contactIds.length} contacts`);
-      const results = { success: [], failed: [] };
-
-      for (let i = 0; i < contactIds.length; i++) {
-        const contactId = contactIds[i];
-        
-        try {
-          console.log(`📤 Sending ${i + 1}/${contactIds.length}...`);
-          const result = await this.sendToContact(contactId, message);
-          results.success.push(result.contact);
-          
-          // Delay between messages to avoid spam detection
-          if (i < contactIds.length - 1) {
-            console.log(`⏳ Waiting 3 seconds before next message...`);
-            await new Promise(resolve => setTimeout(resolve, 3000));
-          }
-          
-        } catch (error) {
-          const contactDoc = await this.db.collection('whatsapp_contacts').doc(contactId).get();
-          const contactName = contactDoc.exists ? contactDoc.data().name : 'Unknown';
-          
-          console.error(`❌ Failed to send to ${contactName}:`, error.message);
-          results.failed.push({ 
-            contactId, 
-            name: contactName, 
-            error: error.message 
-          });
-        }
-      }
-
-      console.log(`📊 Bulk send complete: ${results.success.length} success, ${results.failed.length} failed`);
-      return results;
-      
+      console.log(`📤 Queueing bulk send to ${contactIds.length} contacts`);
+      return await this.sendToSelection(contactIds, [], message, options);
     } catch (error) {
       console.error('❌ Error sending to contacts:', error);
       throw error;
@@ -650,7 +895,7 @@ class SimpleWhatsAppService {
   }
 
   // 📤 SEND MESSAGE TO WHATSAPP GROUP (UPDATED)
-  async sendToGroup(groupId, message) {
+  async sendToGroup(groupId, message, context = {}, options = {}) {
     try {
       if (!this.isWhatsAppConnected()) {
         throw new Error('WhatsApp is not connected. Please connect first.');
@@ -668,18 +913,30 @@ class SimpleWhatsAppService {
         console.log(`📤 Sending to WhatsApp group: ${group.name} (${group.whatsappGroupId})`);
         
         try {
-          await this.client.sendMessage(group.whatsappGroupId, message);
+          const recipient = { name: group.name, language: group.language };
+          const sentMessage = await this.deliver(group.whatsappGroupId, this.resolveMessage(message, recipient), this.resolveOptions(options, recipient), {
+            ...context,
+            groupId
+          });
           console.log(`✅ Message sent to WhatsApp group: ${group.name}`);
           
           return {
-            success: [{ contact: `Group: ${group.name}`, groupId: group.whatsappGroupId }],
-            failed: []
+            success: [{
+              contact: `Group: ${group.name}`,
+              groupId: group.whatsappGroupId,
+              chatId: group.whatsappGroupId,
+              messageId: sentMessage.id._serialized
+            }],
+            failed: [],
+            suppressed: []
           };
         } catch (error) {
+          await this.checkSendingStopped(error);
           console.error(`❌ Failed to send to WhatsApp group: ${error.message}`);
           return {
             success: [],
-            failed: [{ contact: `Group: ${group.name}`, error: error.message }]
+            failed: [{ contact: `Group: ${group.name}`, error: error.message }],
+            suppressed: []
           };
         }
       } 
@@ -687,33 +944,46 @@ class SimpleWhatsAppService {
       else {
         console.log(`📤 Sending to group contacts individually: ${group.name} with ${group.contacts.length} contacts`);
         
-        const results = { success: [], failed: [] };
+        const results = { success: [], failed: [], suppressed: [], skipped: [] };
         const contacts = group.contacts || [];
         
         for (let i = 0; i < contacts.length; i++) {
-          const contact = contacts[i];
+          // Members without their own language get the group's
+          const contact = { ...contacts[i], language: contacts[i].language || group.language };
           console.log(`📤 Sending to ${contact.name} (${i + 1}/${contacts.length})`);
           
           try {
             const formattedNumber = this.formatPhoneNumber(contact.phone);
             const chatId = `${formattedNumber}@c.us`;
+
+            // Members who already received a shared item (see ShareHistoryService.getReceived)
+            if (context.skipChats?.has(chatId)) {
+              console.log(`⏭️ ${contact.name} already received this, skipped`);
+              results.skipped.push({ contact: contact.name, phone: contact.phone });
+              continue;
+            }
             
-            await this.client.sendMessage(chatId, message);
+            const sentMessage = await this.deliver(chatId, this.resolveMessage(message, contact), this.resolveOptions(options, contact), {
+              ...context,
+              groupId,
+              contactId: contact.id
+            });
             console.log(`✅ Sent to ${contact.name}`);
-            results.success.push({ contact: contact.name, phone: contact.phone });
-            
-            // Add delay between messages to avoid spam detection
-            if (i < contacts.length - 1) {
-              console.log('⏳ Waiting 3 seconds...');
-              await new Promise(resolve => setTimeout(resolve, 3000));
-            }
+            results.success.push({ contact: contact.name, phone: contact.phone, contactId: contact.id, chatId, messageId: sentMessage.id._serialized });
           } catch (error) {
+            if (error.code === 'SUPPRESSED') {
+              console.log(`🛑 ${contact.name} has opted out, skipped`);
+              results.suppressed.push({ contact: contact.name, phone: contact.phone });
+              continue;
+            }
+            // The daily cap or a lost connection stops the whole group, not just this member
+            await this.checkSendingStopped(error);
             console.error(`❌ Failed to send to ${contact.name}: ${error.message}`);
-            results.failed.push({ contact: contact.name, phone: contact.phone, error: error.message });
+            results.failed.push({ contact: contact.name, phone: contact.phone, contactId: contact.id, error: error.message });
           }
         }
         
-        console.log(`📊 Group send complete: ${results.success.length} success, ${results.failed.length} failed`);
+        console.log(`📊 Group send complete: ${results.success.length} success, ${results.failed.length} failed, ${results.suppressed.length} suppressed, ${results.skipped.length} skipped`);
         return results;
       }
     } catch (error) {
@@ -722,48 +992,37 @@ class SimpleWhatsAppService {
     }
   }
 
-  // 📤 SEND MESSAGE TO MIXED SELECTION (contacts + groups)
-  async sendToSelection(contactIds, groupIds, message) {
+  // 📤 QUEUE MESSAGE TO MIXED SELECTION (contacts + groups)
+  async sendToSelection(contactIds = [], groupIds = [], message, { name, templateId, variables } = {}) {
     try {
-      if (!this.isWhatsAppConnected()) {
-        throw new Error('WhatsApp is not connected. Please connect first.');
-      }
-
-      const results = { 
-        contactResults: { success: [], failed: [] },
-        groupResults: { success: [], failed: [] }
-      };
-
-      // Send to individual contacts
-      if (contactIds && contactIds.length > 0) {
-        results.contactResults = await this.sendToContacts(contactIds, message);
-      }
-
-      // Send to groups
-      if (groupIds && groupIds.length > 0) {
-        for (const groupId of groupIds) {
-          try {
-            const groupResult = await this.sendToGroup(groupId, message);
-            results.groupResults.success.push({
-              groupId,
-              contactResults: groupResult
-            });
-          } catch (error) {
-            results.groupResults.failed.push({
-              groupId,
-              error: error.message
-            });
-          }
-        }
-      }
-
-      return results;
+      // Fail fast on a bad template instead of inside the worker
+      const template = templateId ? await this.templates.getTemplate(templateId) : null;
+
+      return await this.queue.enqueue({
+        kind: 'message',
+        name: name || template?.name,
+        message,
+        templateId,
+        variables,
+        contactIds,
+        groupIds
+      });
     } catch (error) {
       console.error('❌ Error sending to selection:', error);
       throw error;
     }
   }
 
+  // 🔧 UTILITY: Message text for a recipient (plain text or per-recipient template renderer)
+  resolveMessage(message, recipient) {
+    return typeof message === 'function' ? message(recipient) : message;
+  }
+
+  // 🔧 UTILITY: Send options for a recipient (the caption can be per-recipient too)
+  resolveOptions(options, recipient) {
+    return typeof options.caption === 'function' ? { ...options, caption: options.caption(recipient) } : options;
+  }
+
   // 🔧 UTILITY: Parse CSV
   parseCSV(csvData) {
     const lines = csvData.split('\n');
@@ -793,8 +1052,9 @@ class SimpleWhatsAppService {
       
       this.isConnected = false;
       
-      // Stop keep-alive
+      // Stop keep-alive and queue worker
       this.stopKeepAlive();
+      this.queue.stop();
       
       if (this.client) {
         await this.client.destroy();
@@ -820,6 +1080,7 @@ class SimpleWhatsAppService {
   // 🗑️ LOGOUT (completely remove session)
   async logout() {
     try {
+      this.queue.stop();
       if (this.client) {
         await this.client.logout();
         this.client = null;
@@ -875,138 +1136,151 @@ class SimpleWhatsAppService {
     return cleanPhone;
   }
 
-  // 📤 SEND IMAGE TO CONTACT (FIXED)
-  async sendImageToContact(contactId, imageUrl) {
-    try {
-      if (!this.isWhatsAppConnected()) {
-        throw new Error('WhatsApp is not connected. Please connect first.');
-      }
+  // 📤 SEND IMAGE TO CONTACT (optional caption)
+  async sendImageToContact(contactId, imageUrl, caption = '', context = {}) {
+    return await this.sendMediaToContact(contactId, imageUrl, { kind: 'image', caption }, context);
+  }
 
-      const contactDoc = await this.db.collection('whatsapp_contacts').doc(contactId).get();
-      if (!contactDoc.exists) {
-        throw new Error('Contact not found');
-      }
+  // 📤 SEND IMAGE TO GROUP (optional caption)
+  async sendImageToGroup(groupId, imageUrl, caption = '', context = {}) {
+    return await this.sendMediaToGroup(groupId, imageUrl, { kind: 'image', caption }, context);
+  }
 
-      const contact = contactDoc.data();
-      const formattedNumber = this.formatPhoneNumber(contact.phone);
-      const chatId = `${formattedNumber}@c.us`;
+  // 📤 SEND VIDEO TO CONTACT (optional caption)
+  async sendVideoToContact(contactId, videoUrl, caption = '', context = {}) {
+    return await this.sendMediaToContact(contactId, videoUrl, { kind: 'video', caption }, context);
+  }
 
-      // Use MessageMedia.fromUrl for external URLs
-      const { MessageMedia } = require('whatsapp-web.js');
-      const media = await MessageMedia.fromUrl(imageUrl);
-      
-      await this.client.sendMessage(chatId, media);
+  // 📤 SEND VIDEO TO GROUP (optional caption)
+  async sendVideoToGroup(groupId, videoUrl, caption = '', context = {}) {
+    return await this.sendMediaToGroup(groupId, videoUrl, { kind: 'video', caption }, context);
+  }
 
-      console.log(`🖼️ Image sent to ${contact.name}`);
-      return { success: true, contact: contact.name };
-    } catch (error) {
-      console.error(`❌ Failed to send image to contact: ${error.message}`);
-      throw error;
-    }
+  // 📤 SEND DOCUMENT (e.g. PDF) TO CONTACT
+  async sendDocumentToContact(contactId, documentUrl, caption = '', context = {}) {
+    return await this.sendMediaToContact(contactId, documentUrl, { kind: 'document', caption }, context);
   }
 
-  // 📤 SEND IMAGE TO GROUP (FIXED)
-  async sendImageToGroup(groupId, imageUrl) {
-    try {
-      if (!this.isWhatsAppConnected()) {
-        throw new Error('WhatsApp is not connected. Please connect first.');
-      }
+  // 📤 SEND DOCUMENT (e.g. PDF) TO GROUP
+  async sendDocumentToGroup(groupId, documentUrl, caption = '', context = {}) {
+    return await this.sendMediaToGroup(groupId, documentUrl, { kind: 'document', caption }, context);
+  }
 
-      const groupDoc = await this.db.collection('whatsapp_groups').doc(groupId).get();
-      if (!groupDoc.exists) {
-        throw new Error('Group not found');
-      }
+  // 📤 SEND AUDIO / VOICE NOTE TO CONTACT
+  async sendAudioToContact(contactId, audioUrl, asVoice = false, context = {}) {
+    return await this.sendMediaToContact(contactId, audioUrl, { kind: 'audio', asVoice }, context);
+  }
 
-      const group = groupDoc.data();
+  // 📤 SEND AUDIO / VOICE NOTE TO GROUP
+  async sendAudioToGroup(groupId, audioUrl, asVoice = false, context = {}) {
+    return await this.sendMediaToGroup(groupId, audioUrl, { kind: 'audio', asVoice }, context);
+  }
 
-      // If it's a real WhatsApp group, send to the group directly
-      if (group.whatsappGroupId) {
-        const { MessageMedia } = require('whatsapp-web.js');
-        const media = await MessageMedia.fromUrl(imageUrl);
-        
-        await this.client.sendMessage(group.whatsappGroupId, media);
-        console.log(`🖼️ Image sent to WhatsApp group: ${group.name}`);
-        return { success: true, group: group.name };
-      } else {
-        // Send to individual contacts
-        for (const contact of group.contacts || []) {
-          await this.sendImageToContact(contact.id, imageUrl);
-          await new Promise(resolve => setTimeout(resolve, 2000)); // 2s delay between contacts
-        }
-        return { success: true, group: group.name };
+  // 📤 SEND ANY MEDIA TO CONTACT (URL, data URI or upload:// from the media cache)
+  async sendMediaToContact(contactId, url, { kind = 'image', caption = '', asVoice = false } = {}, context = {}) {
+    try {
+      const { content, options } = await this.prepareMedia(url, { kind, caption, asVoice });
+      const result = await this.sendToContact(contactId, content, context, options);
+
+      if (result.success) {
+        console.log(`📎 ${kind} sent to ${result.contact.name}`);
       }
+      return result;
     } catch (error) {
-      console.error(`❌ Failed to send image to group: ${error.message}`);
+      console.error(`❌ Failed to send ${kind} to contact: ${error.message}`);
       throw error;
     }
   }
 
-  // 📤 SEND VIDEO TO CONTACT (FIXED)
-  async sendVideoToContact(contactId, videoUrl) {
+  // 📤 SEND ANY MEDIA TO GROUP
+  async sendMediaToGroup(groupId, url, { kind = 'image', caption = '', asVoice = false } = {}, context = {}) {
     try {
-      if (!this.isWhatsAppConnected()) {
-        throw new Error('WhatsApp is not connected. Please connect first.');
-      }
+      const { content, options } = await this.prepareMedia(url, { kind, caption, asVoice });
+      const results = await this.sendToGroup(groupId, content, context, options);
 
-      const contactDoc = await this.db.collection('whatsapp_contacts').doc(contactId).get();
-      if (!contactDoc.exists) {
-        throw new Error('Contact not found');
-      }
-
-      const contact = contactDoc.data();
-      const formattedNumber = this.formatPhoneNumber(contact.phone);
-      const chatId = `${formattedNumber}@c.us`;
-
-      // Use MessageMedia.fromUrl for videos
-      const { MessageMedia } = require('whatsapp-web.js');
-      const media = await MessageMedia.fromUrl(videoUrl);
-      
-      await this.client.sendMessage(chatId, media);
-
-      console.log(`🎥 Video sent to ${contact.name}`);
-      return { success: true, contact: contact.name };
+      console.log(`📎 ${kind} sent to group ${groupId}: ${results.success.length} success, ${results.failed.length} failed`);
+      return results;
     } catch (error) {
-      console.error(`❌ Failed to send video to contact: ${error.message}`);
+      console.error(`❌ Failed to send ${kind} to group: ${error.message}`);
       throw error;
     }
   }
 
-  // 📤 SEND VIDEO TO GROUP (FIXED)
-  async sendVideoToGroup(groupId, videoUrl) {
+  // 📤 QUEUE MEDIA TO MIXED SELECTION (contacts + groups)
+  async sendMediaToSelection(contactIds = [], groupIds = [], media, { name } = {}) {
     try {
-      if (!this.isWhatsAppConnected()) {
-        throw new Error('WhatsApp is not connected. Please connect first.');
-      }
+      return await this.queue.enqueue({
+        kind: 'media',
+        name,
+        media,
+        contactIds,
+        groupIds
+      });
+    } catch (error) {
+      console.error('❌ Error sending media to selection:', error);
+      throw error;
+    }
+  }
 
-      const groupDoc = await this.db.collection('whatsapp_groups').doc(groupId).get();
-      if (!groupDoc.exists) {
-        throw new Error('Group not found');
-      }
+  // 🔧 UTILITY: Message content and send options for a media send
+  // Audio has no caption in WhatsApp, so it is ignored there
+  async prepareMedia(url, { kind, caption, asVoice }) {
+    const media = await this.loadMedia(url);
+    if (!media) {
+      return { content: this.getMediaLink(url, caption), options: {} };
+    }
 
-      const group = groupDoc.data();
+    this.mediaCache.checkKind(media, kind);
 
-      // If it's a real WhatsApp group, send to the group directly
-      if (group.whatsappGroupId) {
-        const { MessageMedia } = require('whatsapp-web.js');
-        const media = await MessageMedia.fromUrl(videoUrl);
-        
-        await this.client.sendMessage(group.whatsappGroupId, media);
-        console.log(`🎥 Video sent to WhatsApp group: ${group.name}`);
-        return { success: true, group: group.name };
-      } else {
-        // Send to individual contacts
-        for (const contact of group.contacts || []) {
-          await this.sendVideoToContact(contact.id, videoUrl);
-          await new Promise(resolve => setTimeout(resolve, 2000));
-        }
-        return { success: true, group: group.name };
-      }
+    const options = {};
+    if (caption && kind !== 'audio') options.caption = caption;
+    if (kind === 'document') options.sendMediaAsDocument = true;
+    if (kind === 'audio' && asVoice) options.sendAudioAsVoice = true;
+
+    return { content: media, options };
+  }
+
+  // 🔧 UTILITY: Media for a URL from the local cache (null when too big for WhatsApp or too slow to download)
+  // Base64 data URIs are decoded directly; an oversized one is an error since there is no link to fall back to
+  async loadMedia(url) {
+    if (!this.isWhatsAppConnected()) {
+      throw new Error('WhatsApp is not connected. Please connect first.');
+    }
+
+    if (url.startsWith('data:')) {
+      return this.mediaCache.fromDataUri(url);
+    }
+
+    try {
+      return await this.mediaCache.get(url);
     } catch (error) {
-      console.error(`❌ Failed to send video to group: ${error.message}`);
+      if (error.code === 'MEDIA_TOO_LARGE' || error.code === 'MEDIA_TIMEOUT') {
+        console.log(`🔗 ${error.message}, sending a link instead`);
+        return null;
+      }
       throw error;
     }
   }
 
+  // 🔧 UTILITY: Media URLs a queued send may still need: unfinished campaigns, dead letters that can be
+  // retried and schedules yet to run
+  async getMediaInUse() {
+    const inUse = await Promise.all([
+      this.campaigns.getMediaInUse(),
+      this.deadLetters.getMediaInUse(),
+      this.scheduler.getMediaInUse()
+    ]);
+    return new Set(inUse.flatMap(urls => [...urls]));
+  }
+
+  // 🔧 UTILITY: Text sent in place of media that can't be attached
+  getMediaLink(url, caption = '') {
+    if (typeof caption === 'function') {
+      return recipient => this.getMediaLink(url, caption(recipient));
+    }
+    return caption ? `${caption}\n\n${url}` : url;
+  }
+
   // ⏰ START KEEP-ALIVE PING
   startKeepAlive() {
     // Clear any existing interval
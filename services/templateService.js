@@ -0,0 +1,174 @@
+const admin = require('firebase-admin');
+
+// {name}, {firstName}, {phone}, {anyContactField}
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+class TemplateService {
+  constructor(whatsappService) {
+    this.whatsappService = whatsappService;
+    this.collectionName = 'whatsapp_templates';
+  }
+
+  getCollection() {
+    return this.whatsappService.getDatabase().collection(this.collectionName);
+  }
+
+  // 📋 LIST TEMPLATES
+  async getTemplates() {
+    try {
+      const snapshot = await this.getCollection().get();
+      return snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        placeholders: this.getPlaceholders(doc.data().body)
+      }));
+    } catch (error) {
+      console.error('❌ Error getting templates:', error);
+      throw error;
+    }
+  }
+
+  // 🔎 GET SINGLE TEMPLATE
+  async getTemplate(templateId) {
+    try {
+      const doc = await this.getCollection().doc(templateId).get();
+      if (!doc.exists) {
+        throw new Error('Template not found');
+      }
+      return { id: doc.id, ...doc.data(), placeholders: this.getPlaceholders(doc.data().body) };
+    } catch (error) {
+      console.error('❌ Error getting template:', error);
+      throw error;
+    }
+  }
+
+  // ➕ CREATE TEMPLATE
+  async createTemplate(name, body) {
+    try {
+      if (!name || !body) {
+        throw new Error('Template name and body are required');
+      }
+
+      const template = {
+        name: name.trim(),
+        body,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      const docRef = await this.getCollection().add(template);
+      console.log(`✅ Template created: ${template.name}`);
+
+      return { success: true, id: docRef.id, ...template, placeholders: this.getPlaceholders(body) };
+    } catch (error) {
+      console.error('❌ Error creating template:', error);
+      throw error;
+    }
+  }
+
+  // ✏️ UPDATE TEMPLATE
+  async updateTemplate(templateId, { name, body }) {
+    try {
+      const docRef = this.getCollection().doc(templateId);
+      const doc = await docRef.get();
+      if (!doc.exists) {
+        throw new Error('Template not found');
+      }
+
+      const updateData = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+      if (name) updateData.name = name.trim();
+      if (body) updateData.body = body;
+
+      await docRef.update(updateData);
+      console.log(`✏️ Template updated: ${templateId}`);
+
+      return { success: true, id: templateId };
+    } catch (error) {
+      console.error('❌ Error updating template:', error);
+      throw error;
+    }
+  }
+
+  // 🗑️ DELETE TEMPLATE
+  async deleteTemplate(templateId) {
+    try {
+      await this.getCollection().doc(templateId).delete();
+      console.log(`✅ Template deleted: ${templateId}`);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error deleting template:', error);
+      throw error;
+    }
+  }
+
+  // 👀 PREVIEW TEMPLATE FOR A CONTACT (or with variables only)
+  async previewTemplate(templateId, contactId = null, variables = {}) {
+    try {
+      const template = await this.getTemplate(templateId);
+
+      let recipient = {};
+      if (contactId) {
+        const contactDoc = await this.whatsappService.getDatabase()
+          .collection('whatsapp_contacts').doc(contactId).get();
+        if (!contactDoc.exists) {
+          throw new Error('Contact not found');
+        }
+        recipient = contactDoc.data();
+      }
+
+      const values = this.getRecipientValues(recipient, variables);
+      const missing = template.placeholders.filter(key => values[key] === undefined || values[key] === '');
+
+      return {
+        message: this.render(template.body, values),
+        placeholders: template.placeholders,
+        missing
+      };
+    } catch (error) {
+      console.error('❌ Error previewing template:', error);
+      throw error;
+    }
+  }
+
+  // 🧩 BUILD PER-RECIPIENT MESSAGE RENDERER
+  async createRenderer(templateId, variables = {}) {
+    const template = await this.getTemplate(templateId);
+    return recipient => this.render(template.body, this.getRecipientValues(recipient, variables));
+  }
+
+  // 🔧 UTILITY: Replace {placeholders}; unknown ones render empty
+  render(body, values) {
+    return body.replace(PLACEHOLDER_PATTERN, (match, key) => {
+      const value = values[key];
+      return value === undefined || value === null ? '' : String(value);
+    });
+  }
+
+  // 🔧 UTILITY: Placeholder names used by a template body
+  getPlaceholders(body = '') {
+    return [...new Set([...body.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+  }
+
+  // 🔧 UTILITY: Values available to a recipient's template
+  getRecipientValues(recipient = {}, variables = {}) {
+    const values = {};
+
+    // Plain contact/group fields ({email}, {city}, ...)
+    Object.entries(recipient).forEach(([key, value]) => {
+      if (['string', 'number', 'boolean'].includes(typeof value)) {
+        values[key] = value;
+      }
+    });
+    Object.assign(values, recipient.customFields || {});
+
+    const name = (recipient.name || '').trim();
+    values.name = name;
+    values.firstName = name.split(/\s+/)[0] || '';
+    values.phone = recipient.phone || '';
+
+    // Request variables win over stored fields
+    return { ...values, ...variables };
+  }
+}
+
+module.exports = TemplateService;
@@ -0,0 +1,135 @@
+// Text helpers shared by the content formatters and the sender
+// Lengths are counted in UTF-16 code units, like WhatsApp's limits, but text is only ever cut
+// between grapheme clusters so emoji sequences and Arabic letters with their marks stay whole
+
+// Longest text message / media caption sent in one piece; longer text is split into numbered parts
+const TEXT_LIMITS = {
+  message: Number(process.env.WHATSAPP_MAX_MESSAGE_LENGTH) || 4096,
+  caption: Number(process.env.WHATSAPP_MAX_CAPTION_LENGTH) || 1024
+};
+
+const ELLIPSIS = '…';
+
+// Reserved in every part for the "(12/34) " numbering
+const PART_PREFIX_LENGTH = '(999/999) '.length;
+
+// Where a cut may go, best first; a break is only used when it keeps at least `minRatio` of the room
+const TRUNCATE_BREAKS = [
+  { pattern: /\s/g, minRatio: 0.7 }
+];
+const SPLIT_BREAKS = [
+  { pattern: /\n\s*\n/g, minRatio: 0.5 }, // between paragraphs
+  { pattern: /\n/g, minRatio: 0.5 }, // between lines
+  { pattern: /\s/g, minRatio: 0.5 } // between words
+];
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+const words = new Intl.Segmenter(undefined, { granularity: 'word' });
+
+// 🔧 Any value as text; missing values are empty instead of throwing
+function toText(value) {
+  return value === undefined || value === null ? '' : String(value);
+}
+
+// ✂️ TEXT SHORTENED TO maxLength (ellipsis included), ENDING ON A WORD WHEN ONE IS CLOSE
+// Never longer than maxLength: a grapheme that doesn't fit is left out whole, and the ellipsis is
+// dropped when there is no room for it
+function truncate(value, maxLength, { ellipsis = ELLIPSIS } = {}) {
+  const text = toText(value);
+  if (text.length <= maxLength) {
+    return text;
+  }
+
+  if (ellipsis.length > maxLength) {
+    return text.slice(0, findCut(text, maxLength, [], { atLeastOne: false }));
+  }
+
+  const cut = findCut(text, maxLength - ellipsis.length, TRUNCATE_BREAKS, { atLeastOne: false });
+  return `${text.slice(0, cut).trimEnd()}${ellipsis}`;
+}
+
+// ✂️ FIRST `count` WORDS OF THE TEXT
+function truncateWords(value, count, { ellipsis = ELLIPSIS } = {}) {
+  const text = toText(value).trim();
+
+  let seen = 0;
+  for (const { index, isWordLike } of words.segment(text)) {
+    if (isWordLike && ++seen > count) {
+      return `${text.slice(0, index).trimEnd()}${ellipsis}`;
+    }
+  }
+  return text;
+}
+
+// 📑 SPLIT TEXT INTO NUMBERED PARTS THAT EACH FIT IN maxLength ("(1/3) ...")
+// Text that already fits is returned as the only part, without a number
+function splitMessage(value, maxLength = TEXT_LIMITS.message) {
+  const text = toText(value);
+  if (text.length <= maxLength) {
+    return [text];
+  }
+
+  const room = Math.max(1, maxLength - PART_PREFIX_LENGTH);
+  const parts = [];
+  let rest = text;
+
+  while (rest.length > room) {
+    const cut = findCut(rest, room, SPLIT_BREAKS);
+    parts.push(rest.slice(0, cut).trimEnd());
+    rest = rest.slice(cut).trimStart();
+  }
+  if (rest) {
+    parts.push(rest);
+  }
+
+  return parts.map((part, index) => `(${index + 1}/${parts.length}) ${part}`);
+}
+
+// 🔍 TEXT PREPARED FOR SEARCHING: lower case, Arabic diacritics and tatweel removed,
+// and letters that are often typed interchangeably (أ إ آ ا, ى ي, ة ه) made the same
+function normalizeSearchText(value) {
+  return toText(value)
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+    .replace(/[أإآٱ]/g, 'ا')
+    .replace(/ى/g, 'ي')
+    .replace(/ة/g, 'ه');
+}
+
+// 🔧 Position to cut at so that text.slice(0, position) fits in `limit`:
+// the last preferred break, otherwise the last whole grapheme. With `atLeastOne` a first grapheme longer
+// than the limit is still taken, so splitting always advances
+function findCut(text, limit, breaks, { atLeastOne = true } = {}) {
+  let graphemeCut = 0;
+  for (const { index, segment } of graphemes.segment(text)) {
+    if (index + segment.length > limit) {
+      graphemeCut = graphemeCut || (atLeastOne ? index + segment.length : 0);
+      break;
+    }
+    graphemeCut = index + segment.length;
+  }
+
+  // One character past the cut, so a break right at the limit counts
+  const head = text.slice(0, graphemeCut + 1);
+  for (const { pattern, minRatio } of breaks) {
+    let position = -1;
+    for (const match of head.matchAll(pattern)) {
+      position = match.index;
+    }
+    if (position > 0 && position <= graphemeCut && position >= graphemeCut * minRatio) {
+      return position;
+    }
+  }
+
+  return graphemeCut;
+}
+
+module.exports = {
+  TEXT_LIMITS,
+  toText,
+  truncate,
+  truncateWords,
+  splitMessage,
+  normalizeSearchText
+};